@@ -0,0 +1,290 @@
+'use strict';
+
+// Imports
+var utils = require('./utils');
+var logGamma = utils.logGamma;
+var digamma = utils.digamma;
+var standardNormal = utils.standardNormal;
+
+// Constants
+var EPSILON = 1e-7;
+var BISECTION_ITERATIONS = 100;
+
+/**
+ * The component families of a `Mixture`. A component is a plain object with a `family` key, the name of its family,
+ * and the parameters of the family. Each family is an object with the methods:
+ * - `logPdf(x, component)`, the log of the density of the component at x,
+ * - `sample(component, random)`, a random sample from the component given a function that returns uniform numbers in [0, 1),
+ * - `fit(data, memberships, component)`, the component that maximizes the likelihood of the data weighted by the memberships,
+ *   given the previous component,
+ * - optionally `complete(data, component)`, the component with the parameters that it does not define derived from the data,
+ *   called before the optimization,
+ * - optionally a `seeded` flag, false if the components of the family should not get a seed in the K-means++ initialization.
+ * Other families can be added to this object.
+ */
+var families = module.exports = {};
+
+/**
+ * Gaussian components, with parameters `mean` and `variance`.
+ */
+families.gaussian = {
+  logPdf: function (x, c) {
+    return utils.logNormalPdf(x, c.mean, c.variance);
+  },
+  sample: function (c, random) {
+    return c.mean + Math.sqrt(c.variance) * standardNormal(random);
+  },
+  fit: function (data, memberships, c) {
+    var count = sum(memberships);
+    if (!(count > 0)) return c;
+
+    var mean = weightedMean(data, memberships, count);
+    var variance = EPSILON;
+    for (var i = 0, n = data.length; i < n; i++) {
+      variance += memberships[i] * (data[i] - mean) * (data[i] - mean);
+    }
+    return {family: 'gaussian', mean: mean, variance: variance / count};
+  }
+};
+
+/**
+ * [Student's t](https://en.wikipedia.org/wiki/Student%27s_t-distribution) components, with parameters `location`, `scale`
+ * and `degreesOfFreedom`. The three parameters are estimated, with the expectation-conditional-maximization algorithm
+ * that represents the distribution as a gaussian whose precision is scaled by a gamma distributed variable.
+ */
+families.studentT = {
+  logPdf: function (x, c) {
+    var nu = c.degreesOfFreedom;
+    var z = (x - c.location) / c.scale;
+    return logGamma((nu + 1) / 2) - logGamma(nu / 2) - 0.5 * Math.log(nu * Math.PI) - Math.log(c.scale) -
+      (nu + 1) / 2 * Math.log(1 + z * z / nu);
+  },
+  sample: function (c, random) {
+    var chiSquare = 2 * sampleGamma(c.degreesOfFreedom / 2, random);
+    return c.location + c.scale * standardNormal(random) / Math.sqrt(chiSquare / c.degreesOfFreedom);
+  },
+  fit: function (data, memberships, c) {
+    var count = sum(memberships);
+    if (!(count > 0)) return c;
+
+    // Expected precision scale of each datapoint under the previous component.
+    var nu = c.degreesOfFreedom;
+    var n = data.length;
+    var scales = [];
+    var i;
+    for (i = 0; i < n; i++) {
+      var z = (data[i] - c.location) / c.scale;
+      scales.push((nu + 1) / (nu + z * z));
+    }
+
+    var location = 0;
+    var scaledCount = 0;
+    for (i = 0; i < n; i++) {
+      location += memberships[i] * scales[i] * data[i];
+      scaledCount += memberships[i] * scales[i];
+    }
+    location /= scaledCount;
+
+    var variance = EPSILON;
+    var a = 0;
+    for (i = 0; i < n; i++) {
+      variance += memberships[i] * scales[i] * (data[i] - location) * (data[i] - location);
+      a += memberships[i] * (Math.log(scales[i]) - scales[i]);
+    }
+    a /= count;
+
+    // The degrees of freedom solve the conditional maximization equation, given the previous degrees of freedom.
+    var b = 1 + a + digamma((nu + 1) / 2) - Math.log((nu + 1) / 2);
+    var degreesOfFreedom = bisection(function (v) { return b + Math.log(v / 2) - digamma(v / 2); }, 0.01, 1000);
+
+    return {family: 'studentT', location: location, scale: Math.sqrt(variance / count), degreesOfFreedom: degreesOfFreedom};
+  }
+};
+
+/**
+ * [Laplace](https://en.wikipedia.org/wiki/Laplace_distribution) components, with parameters `location` and `scale`.
+ */
+families.laplace = {
+  logPdf: function (x, c) {
+    return -Math.log(2 * c.scale) - Math.abs(x - c.location) / c.scale;
+  },
+  sample: function (c, random) {
+    var u = random() - 0.5;
+    return c.location - c.scale * (u < 0 ? -1 : 1) * Math.log(1 - 2 * Math.abs(u));
+  },
+  fit: function (data, memberships, c) {
+    var count = sum(memberships);
+    if (!(count > 0)) return c;
+
+    // The location is the weighted median.
+    var order = data.map(function (x, i) { return i; }).sort(function (i, j) { return data[i] - data[j]; });
+    var cumulated = 0;
+    var location = data[order[order.length - 1]];
+    for (var j = 0; j < order.length; j++) {
+      cumulated += memberships[order[j]];
+      if (cumulated >= count / 2) {
+        location = data[order[j]];
+        break;
+      }
+    }
+
+    var scale = EPSILON;
+    for (var i = 0, n = data.length; i < n; i++) {
+      scale += memberships[i] * Math.abs(data[i] - location);
+    }
+    return {family: 'laplace', location: location, scale: scale / count};
+  }
+};
+
+/**
+ * [Log-normal](https://en.wikipedia.org/wiki/Log-normal_distribution) components, with parameters `mu` and `sigma`,
+ * the mean and standard deviation of the log of the variable. Their support is the positive numbers.
+ */
+families.logNormal = {
+  logPdf: function (x, c) {
+    if (!(x > 0)) return -Infinity;
+    return utils.logNormalPdf(Math.log(x), c.mu, c.sigma * c.sigma) - Math.log(x);
+  },
+  sample: function (c, random) {
+    return Math.exp(c.mu + c.sigma * standardNormal(random));
+  },
+  fit: function (data, memberships, c) {
+    var logs = [];
+    var weights = [];
+    for (var i = 0, n = data.length; i < n; i++) {
+      if (data[i] > 0) {
+        logs.push(Math.log(data[i]));
+        weights.push(memberships[i]);
+      }
+    }
+    var fitted = families.gaussian.fit(logs, weights, {family: 'gaussian', mean: c.mu, variance: c.sigma * c.sigma});
+    return {family: 'logNormal', mu: fitted.mean, sigma: Math.sqrt(fitted.variance)};
+  }
+};
+
+/**
+ * [Gamma](https://en.wikipedia.org/wiki/Gamma_distribution) components, with parameters `shape` and `scale`.
+ * Their support is the positive numbers.
+ */
+families.gamma = {
+  logPdf: function (x, c) {
+    if (!(x > 0)) return -Infinity;
+    return (c.shape - 1) * Math.log(x) - x / c.scale - logGamma(c.shape) - c.shape * Math.log(c.scale);
+  },
+  sample: function (c, random) {
+    return c.scale * sampleGamma(c.shape, random);
+  },
+  fit: function (data, memberships, c) {
+    var count = 0;
+    var mean = 0;
+    var meanLog = 0;
+    for (var i = 0, n = data.length; i < n; i++) {
+      if (!(data[i] > 0)) continue;
+      count += memberships[i];
+      mean += memberships[i] * data[i];
+      meanLog += memberships[i] * Math.log(data[i]);
+    }
+    if (!(count > 0)) return c;
+    mean /= count;
+    meanLog /= count;
+
+    // The maximum likelihood shape k solves log(k) - digamma(k) = log(mean) - mean(log).
+    var s = Math.max(Math.log(mean) - meanLog, EPSILON);
+    var shape = bisection(function (k) { return Math.log(k) - digamma(k) - s; }, 1e-3, 1e6);
+    return {family: 'gamma', shape: shape, scale: mean / shape};
+  }
+};
+
+/**
+ * Uniform components, with parameters `lower` and `upper`, for instance to model a background noise.
+ * The bounds are not estimated: they are kept, or set to the range of the data if they are not defined.
+ */
+families.uniform = {
+  seeded: false,
+  logPdf: function (x, c) {
+    return x >= c.lower && x <= c.upper ? -Math.log(c.upper - c.lower) : -Infinity;
+  },
+  sample: function (c, random) {
+    return c.lower + (c.upper - c.lower) * random();
+  },
+  fit: function (data, memberships, c) {
+    return families.uniform.complete(data, c);
+  },
+  complete: function (data, c) {
+    if (c.lower !== undefined && c.upper !== undefined) return c;
+    var lower = Infinity;
+    var upper = -Infinity;
+    for (var i = 0, n = data.length; i < n; i++) {
+      if (data[i] < lower) lower = data[i];
+      if (data[i] > upper) upper = data[i];
+    }
+    return {
+      family: 'uniform',
+      lower: c.lower === undefined ? lower : c.lower,
+      upper: c.upper === undefined ? upper : c.upper
+    };
+  }
+};
+
+/** @private
+ * Compute the sum of an array.
+ * @param {Array} array an array of numbers
+ * @return {Number} the sum
+ */
+function sum(array) {
+  return array.reduce(function (a, b) { return a + b; }, 0);
+}
+
+/** @private
+ * Compute the weighted mean of an array.
+ * @param {Array} data an array of numbers
+ * @param {Array} weights the weight of each number
+ * @param {Number} total the sum of the weights
+ * @return {Number} the weighted mean
+ */
+function weightedMean(data, weights, total) {
+  var mean = 0;
+  for (var i = 0, n = data.length; i < n; i++) {
+    mean += weights[i] * data[i];
+  }
+  return mean / total;
+}
+
+/** @private
+ * Find the root of a decreasing function with the bisection method on a logarithmic scale.
+ * @param {Function} f a decreasing function
+ * @param {Number} lower a positive lower bound for the root
+ * @param {Number} upper an upper bound for the root
+ * @return {Number} the root, or the bound of the interval closest to it if the root is outside of the interval.
+ */
+function bisection(f, lower, upper) {
+  if (f(lower) <= 0) return lower;
+  if (f(upper) >= 0) return upper;
+
+  for (var i = 0; i < BISECTION_ITERATIONS; i++) {
+    var middle = Math.sqrt(lower * upper);
+    if (f(middle) > 0) lower = middle;
+    else upper = middle;
+  }
+  return Math.sqrt(lower * upper);
+}
+
+/** @private
+ * Draw a sample from the gamma distribution with unit scale, with the method of Marsaglia and Tsang.
+ * @param {Number} shape the shape of the distribution
+ * @param {Function} random a function that returns uniform numbers in [0, 1)
+ * @return {Number} the sample
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) return sampleGamma(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+
+  var d = shape - 1 / 3;
+  var c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    var x = standardNormal(random);
+    var v = Math.pow(1 + c * x, 3);
+    if (v <= 0) continue;
+    var u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
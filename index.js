@@ -1,14 +1,34 @@
 'use strict';
 
+// The module is exported before its imports, since ./variational requires it back.
+module.exports = GMM;
+
 // Imports
 var gaussian = require('gaussian');
+var MultivariateGMM = require('./multivariate');
+var VariationalGMM = require('./variational');
+var Mixture = require('./mixture');
+var utils = require('./utils');
+var range = utils.range;
+var logSumExp = utils.logSumExp;
+var logNormalPdf = utils.logNormalPdf;
+var kMeansPlusPlus = utils.kMeansPlusPlus;
+var closestSeeds = utils.closestSeeds;
 
 // Constants
 var MAX_ITERATIONS = 200;
 var EPSILON = 1e-7;
+var MODES_GRID_SIZE = 10000;
+var ENTROPY_GRID_SIZE = 2000;
+var KMEANS_ITERATIONS = 100;
+var SPLIT_MERGE_CANDIDATES = 5;
+var SPLIT_MERGE_ROUNDS = 10;
+var STANDARD_NORMAL = gaussian(0, 1);
 
-module.exports = GMM;
 module.exports.Histogram = Histogram;
+module.exports.MultivariateGMM = MultivariateGMM;
+module.exports.VariationalGMM = VariationalGMM;
+module.exports.Mixture = Mixture;
 
 /**
  * Instantiate a new GMM.
@@ -19,6 +39,32 @@ module.exports.Histogram = Histogram;
  * @param {Object} options an object that can define the `variancePrior`, `separationPrior`, `variancePriorRelevance` and `separationPriorRelevance`.
  * The priors are taken into account when the GMM is optimized given some data. The relevance parameters should be non-negative numbers,
  * 1 meaning that the prior has equal weight as the result of the optimal GMM in each EM step, 0 meaning no influence, and Infinity means a fixed variance (resp. separation).
+ * These are shortcuts for the common cases: the variance prior is an inverse-gamma prior whose strength grows with the number of observations.
+ * For maximum a posteriori estimation with conjugate priors when the GMM is optimized, the options can define a `prior` object with keys
+ * `concentration` (the concentration of a Dirichlet prior on the weights, default 1, i.e. no prior),
+ * `mean` and `meanStrength` (the mean and the number of pseudo-observations of the normal prior on the means, default 0 and 0, i.e. no prior),
+ * and `shape` and `scale` (the parameters of the inverse-gamma prior on the variances, by default no prior).
+ * Together, they define a Normal-Inverse-Gamma prior on the mean and variance of each component. Each hyperparameter is
+ * either a number, shared by all components, or an array of length nComponents.
+ * A concentration greater than 1 keeps the weights of the components away from zero.
+ * The options can also define `constraints`, an object that can define `fixedMeans`, `fixedVars` and `fixedWeights`
+ * (true for all components, or an array of nComponents booleans) to keep some parameters at their current value,
+ * `tiedVariance` (true to share a single variance between all components), and `meanBounds` and `varianceBounds`
+ * (a range [lower, upper] for all components, or an array of nComponents ranges). The constraints are applied at each step
+ * of the optimization: when some weights are fixed, the other weights are scaled so that all the weights sum to 1.
+ * The options can also define a `seed` (a number) or a `random` function returning uniform numbers in [0, 1), used instead of `Math.random`
+ * for the initialization and the sampling, so that the same seed and the same data always give the same results.
+ * If the options have a true flag for `binned`, histograms are fitted with exact binned EM: instead of collapsing each bin to its midpoint,
+ * the probability of each bin under each component is the integral of its density over the bin bounds (see `Histogram.bounds`),
+ * the log-likelihood is the one of a multinomial over these probabilities, and the model updates use the moments of each component truncated to the bins.
+ * The options can also define `noise`, true or an object with keys `range` and `weight`, to add a noise component to the mixture:
+ * a uniform density over `range` (by default the range of the data given to `optimize`) with its own weight `noiseWeight`
+ * (initially `weight`, default 0.05), learned by the optimization. The density of the GMM is then (1 - noiseWeight) times the gaussian mixture
+ * plus noiseWeight times the uniform density, and the weights of the gaussians still sum to 1. Outliers do not drag the means
+ * and inflate the variances anymore, and the memberships have an additional last element, the probability that the datapoint is noise.
+ * The moments, modes and entropy describe the gaussian part of the mixture.
+ * The options can also define `initialize`, the data-dependent initialization of the weights, means and variances
+ * before the optimization (see `optimize`).
  * @return {GMM} a gmm object
  * @example var gmm = new GMM(3, [0.3, 0.2, 0.5], [1, 2, 3], [1, 1, 0.5]);
  */
@@ -33,6 +79,13 @@ function GMM(nComponents, weights, means, vars, options) {
     throw new Error('weights, means and vars must have nComponents elements.');
   }
   this.options = options === undefined ? {} : options;
+  this._random = utils.createRandom(this.options);
+  this._sufficientStatistics = null;
+  if (this.options.noise) {
+    this.noiseWeight = this.options.noise.weight === undefined ? 0.05 : this.options.noise.weight;
+    this.noiseRange = this.options.noise.range || null;
+    if (!(this.noiseWeight >= 0 && this.noiseWeight < 1)) throw new Error('The noise weight must be in [0, 1).');
+  }
 }
 
 /**
@@ -58,13 +111,18 @@ GMM.prototype.sample = function (nSamples) {
   var gaussians = this._gaussians();
 
   for (var i = 0; i < nSamples; i++) {
-    var r = Math.random();
+    if (this.options.noise && this._random() < this.noiseWeight) {
+      var noiseRange = this._noiseRange();
+      samples.push(noiseRange[0] + (noiseRange[1] - noiseRange[0]) * this._random());
+      continue;
+    }
+    var r = this._random();
     var n = 0;
-    while (r > this.weights[n] && n < this.nComponents) {
+    while (r > this.weights[n] && n < this.nComponents - 1) {
       r -= this.weights[n];
       n++;
     }
-    samples.push(gaussians[n].ppf(Math.random()));
+    samples.push(gaussians[n].ppf(this._random()));
   }
   return samples;
 };
@@ -91,6 +149,8 @@ GMM.prototype.memberships = function (data, gaussians) {
  * @return {Object} a hash from key to memberships, where values are {Array} of length nComponents that sum to 1.
  */
 GMM.prototype._membershipsHistogram = function (h, gaussians) {
+  if (this.options.binned) return this._binStatistics(h).memberships;
+
   var memberships = {};
   if (!gaussians) gaussians = this._gaussians();
 
@@ -106,178 +166,1255 @@ GMM.prototype._membershipsHistogram = function (h, gaussians) {
   return memberships;
 };
 
+/** @private
+ * Given a histogram, compute for each bin and each component the log of the probability of the bin under the component,
+ * and the first two moments of the component truncated to the bin. This is used by the exact binned EM (see the `binned` option).
+ * @param {Histogram} h histogram representing the data.
+ * @return {Object} an object with keys `logProbabilities`, a hash from key to an array of length nComponents,
+ * `moments`, a hash from key to an array of length nComponents of [E(x), E(x^2)] under the truncated components,
+ * and `memberships`, a hash from key to memberships, where values are {Array} of length nComponents that sum to 1.
+ */
+GMM.prototype._binStatistics = function (h) {
+  var statistics = {logProbabilities: {}, moments: {}, memberships: {}};
+  var keys = Object.keys(h.counts);
+
+  for (var i = 0, n = keys.length; i < n; i++) {
+    var key = keys[i];
+    var bounds = h.bounds(key);
+    var logProbabilities = [];
+    var moments = [];
+    for (var k = 0; k < this.nComponents; k++) {
+      var truncated = truncatedNormal(this.means[k], this.vars[k], bounds[0], bounds[1]);
+      logProbabilities.push(truncated.logProbability);
+      moments.push([truncated.mean, truncated.secondMoment]);
+    }
+    var logSum = logSumExp(logProbabilities);
+
+    statistics.logProbabilities[key] = logProbabilities;
+    statistics.moments[key] = moments;
+    if (this.options.noise) {
+      var logNoise = this._logNoiseMembership(logProbabilities, this._logNoiseDensity(bounds));
+      statistics.memberships[key] = logProbabilities.map(function (a) { return Math.exp(a - logSum + logNoise[0]); })
+        .concat([Math.exp(logNoise[1])]);
+    } else {
+      statistics.memberships[key] = logProbabilities.map(function (a) { return Math.exp(a - logSum); });
+    }
+  }
+
+  return statistics;
+};
+
 /**
  * Given a datapoint, determine its memberships for each component of the GMM.
  * @param {Number} x number representing the sample to score under the model
  * @param {Array} gaussians (optional) an Array of length nComponents that contains the gaussians for the GMM
- * @return {Array} an array of length this.nComponents with membership weights, i.e the probabilities that this datapoint was drawn from the each component
+ * @return {Array} an array of length this.nComponents with membership weights, i.e the probabilities that this datapoint was drawn from the each component.
+ * If the GMM has a noise component, the array has an additional last element, the probability that the datapoint is noise,
+ * and the other elements sum to the probability that it is not.
  */
 GMM.prototype.membership = function (x, gaussians) {
-  var membership = [];
+  return this._logMembership(x, gaussians).map(Math.exp);
+};
+
+/**
+ * Given an array of data, determine the logarithm of their memberships for each component of the GMM.
+ * The memberships are computed in log space, so that datapoints far from every component do not underflow.
+ * @param {Array} data array of numbers representing the samples to score under the model
+ * @param {Array} gaussians (optional) an Array of length nComponents that contains the gaussians for the GMM
+ * @return {Array} (data.length * this.nComponents) matrix with the log of the membership weights
+ */
+GMM.prototype.logMemberships = function (data, gaussians) {
+  var logMemberships = [];
+  if (!gaussians) gaussians = this._gaussians();
+  for (var i = 0, n = data.length; i < n; i++) {
+    logMemberships.push(this._logMembership(data[i], gaussians));
+  }
+  return logMemberships;
+};
+
+/** @private
+ * Given a datapoint, determine the logarithm of its memberships for each component of the GMM.
+ * @param {(Number|Array)} x number representing the sample to score under the model, or a censored observation [lower, upper]
+ * @param {Array} gaussians (optional) an Array of length nComponents that contains the gaussians for the GMM
+ * @return {Array} an array of length this.nComponents with the log of the membership weights
+ */
+GMM.prototype._logMembership = function (x, gaussians) {
+  var logMembership = [];
   if (!gaussians) gaussians = this._gaussians();
-  var sum = 0;
   for (var i = 0; i < this.nComponents; i++) {
-    var m = gaussians[i].pdf(x);
-    membership.push(m);
-    sum += m;
+    if (Array.isArray(x)) logMembership.push(truncatedNormal(gaussians[i].mean, gaussians[i].variance, x[0], x[1]).logProbability);
+    else logMembership.push(logNormalPdf(x, gaussians[i].mean, gaussians[i].variance));
   }
+  return this._normalizeLogMembership(logMembership, x);
+};
 
-  return membership.map(function (a) { return a / sum; });
+/** @private
+ * Normalize the log-densities of a datapoint under each gaussian into the logarithm of its memberships.
+ * @param {Array} logDensities the log-densities (or log-probabilities for a censored observation) of the datapoint under each gaussian
+ * @param {(Number|Array)} x number or censored observation [lower, upper]
+ * @return {Array} an array of length this.nComponents with the log of the membership weights, plus one for the noise component if any.
+ */
+GMM.prototype._normalizeLogMembership = function (logDensities, x) {
+  var logSum = logSumExp(logDensities);
+  if (!this.options.noise) return logDensities.map(function (a) { return a - logSum; });
+
+  // The gaussian memberships are scaled by the probability that the datapoint is not noise.
+  var logNoise = this._logNoiseMembership(logDensities, this._logNoiseDensity(x));
+  var logInlier = logNoise[0];
+  return logDensities.map(function (a) { return a - logSum + logInlier; }).concat([logNoise[1]]);
+};
+
+/** @private
+ * Compute the log of the probabilities that a datapoint is not noise, and that it is noise.
+ * @param {Array} logDensities the log-densities (or log-probabilities for a censored observation) of the datapoint under each gaussian
+ * @param {Number} logNoiseDensity the log-density (or log-probability) of the datapoint under the noise component
+ * @return {Array} an array with the log-probability that the datapoint is not noise, and the log-probability that it is noise.
+ */
+GMM.prototype._logNoiseMembership = function (logDensities, logNoiseDensity) {
+  var logWeights = this.weights.map(Math.log);
+  var logGaussian = Math.log(1 - this.noiseWeight) + logSumExp(logDensities.map(function (a, k) { return a + logWeights[k]; }));
+  var logNoise = Math.log(this.noiseWeight) + logNoiseDensity;
+  var logTotal = logSumExp([logGaussian, logNoise]);
+  return [logGaussian - logTotal, logNoise - logTotal];
+};
+
+/** @private
+ * Mix in the noise component, if any, to the log-density (or log-probability) of the gaussian mixture.
+ * @param {Number} logGaussian the log-density (or log-probability) of the datapoint under the gaussian mixture
+ * @param {(Number|Array)} x number or censored observation [lower, upper]
+ * @return {Number} the log-density (or log-probability) of the datapoint under the GMM
+ */
+GMM.prototype._withNoise = function (logGaussian, x) {
+  if (!this.options.noise) return logGaussian;
+  return logSumExp([Math.log(1 - this.noiseWeight) + logGaussian, Math.log(this.noiseWeight) + this._logNoiseDensity(x)]);
+};
+
+/** @private
+ * Compute the log-density of the noise component at a point, or its log-probability for a censored observation.
+ * @param {(Number|Array)} x number or censored observation [lower, upper]
+ * @return {Number} the log-density or log-probability
+ */
+GMM.prototype._logNoiseDensity = function (x) {
+  var noiseRange = this._noiseRange();
+  var width = noiseRange[1] - noiseRange[0];
+  if (Array.isArray(x)) return Math.log(Math.max(0, Math.min(x[1], noiseRange[1]) - Math.max(x[0], noiseRange[0])) / width);
+  return x >= noiseRange[0] && x <= noiseRange[1] ? -Math.log(width) : -Infinity;
+};
+
+/** @private
+ * Return the range of the noise component.
+ * @return {Array} the range [lower, upper]
+ */
+GMM.prototype._noiseRange = function () {
+  var noiseRange = this.noiseRange;
+  if (!noiseRange) throw new Error('The noise range is not defined: define options.noise.range, or optimize the GMM.');
+  if (!(noiseRange[0] < noiseRange[1] && isFinite(noiseRange[0]) && isFinite(noiseRange[1]))) throw new Error('The noise range must be a finite range [lower, upper] with lower < upper.');
+  return noiseRange;
+};
+
+/** @private
+ * Compute the range of the data, used as the default range of the noise component.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @return {Array} the range [lower, upper] of the finite observations or bin bounds
+ */
+GMM._dataRange = function (data) {
+  var dataRange = [Infinity, -Infinity];
+  function extend(x) {
+    if (!isFinite(x)) return;
+    if (x < dataRange[0]) dataRange[0] = x;
+    if (x > dataRange[1]) dataRange[1] = x;
+  }
+
+  var i;
+  if (Histogram.prototype.isPrototypeOf(data)) {
+    var keys = Object.keys(data.counts);
+    for (i = 0; i < keys.length; i++) {
+      if (!(data.counts[keys[i]] > 0)) continue;
+      let bounds = data.bounds(keys[i]);
+      extend(bounds[0]);
+      extend(bounds[1]);
+    }
+  } else {
+    for (i = 0; i < data.length; i++) {
+      if (Array.isArray(data[i])) {
+        extend(data[i][0]);
+        extend(data[i][1]);
+      } else {
+        extend(data[i]);
+      }
+    }
+  }
+  return dataRange;
+};
+
+/**
+ * Assign each datapoint to the component with the highest membership.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @return {(Array|Object)} an array with the index of the component of each datapoint,
+ * or for a histogram, a hash from key to the index of the component of the bin, keyed like `counts`.
+ * If the GMM has a noise component, the datapoints whose highest membership is the noise are labeled -1.
+ * @example
+ var gmm = new GMM(2, [0.5, 0.5], [0, 10], [1, 1]);
+ gmm.predict([1, 9, 12]); // >> [0, 1, 1]
+ */
+GMM.prototype.predict = function (data) {
+  var memberships = this.predictProba(data);
+  var nComponents = this.nComponents;
+  var argmax = function (membership) {
+    var best = 0;
+    for (var k = 1; k < membership.length; k++) {
+      if (membership[k] > membership[best]) best = k;
+    }
+    return best === nComponents ? -1 : best;
+  };
+
+  if (Array.isArray(memberships)) return memberships.map(argmax);
+
+  var labels = {};
+  Object.keys(memberships).forEach(function (key) { labels[key] = argmax(memberships[key]); });
+  return labels;
+};
+
+/**
+ * Determine the memberships of each datapoint for each component of the GMM.
+ * This is an alias of `memberships` that also accepts histograms.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @return {(Array|Object)} (data.length * this.nComponents) matrix with membership weights,
+ * or for a histogram, a hash from key to the memberships of the bin, keyed like `counts`.
+ */
+GMM.prototype.predictProba = function (data) {
+  if (GMM._isArrayLike(data)) return this.memberships(data);
+  if (Histogram.prototype.isPrototypeOf(data)) return this._membershipsHistogram(data);
+
+  throw new Error('Data must be an Array of a Histogram.');
+};
+
+/**
+ * Compute the mean log-likelihood per sample of the GMM given data.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @param {Object} [options={}] an object that can define `sampleWeights` (see `optimize`)
+ * @return {Number} the log-likelihood divided by the number of samples (or by the sum of the sample weights)
+ */
+GMM.prototype.score = function (data, options) {
+  var sampleWeights = options && options.sampleWeights;
+  var n;
+  if (Histogram.prototype.isPrototypeOf(data)) n = data.total;
+  else if (sampleWeights) n = sampleWeights.reduce(function (a, b) { return a + b; }, 0);
+  else n = data.length;
+
+  return this.logLikelihood(data, options) / n;
+};
+
+/**
+ * Compute the logarithm of the probability density function of the GMM.
+ * @param {Number} x number representing the sample to score under the model
+ * @param {Array} gaussians (optional) an Array of length nComponents that contains the gaussians for the GMM
+ * @return {Number} the log-density of the mixture at x
+ */
+GMM.prototype.logPdf = function (x, gaussians) {
+  var logDensities = [];
+  if (!gaussians) gaussians = this._gaussians();
+  for (var k = 0; k < this.nComponents; k++) {
+    logDensities.push(Math.log(this.weights[k]) + logNormalPdf(x, gaussians[k].mean, gaussians[k].variance));
+  }
+  return this._withNoise(logSumExp(logDensities), x);
+};
+
+/**
+ * Compute the probability density function of the GMM.
+ * @param {Number} x number where the density is evaluated
+ * @return {Number} the density of the mixture at x
+ */
+GMM.prototype.pdf = function (x) {
+  return Math.exp(this.logPdf(x));
+};
+
+/**
+ * Compute the cumulative distribution function of the GMM, i.e. the probability that a sample is lower than x.
+ * @param {Number} x number where the distribution function is evaluated
+ * @param {Array} gaussians (optional) an Array of length nComponents that contains the gaussians for the GMM
+ * @return {Number} the cumulative distribution function of the mixture at x
+ */
+GMM.prototype.cdf = function (x, gaussians) {
+  if (!gaussians) gaussians = this._gaussians();
+  var p = 0;
+  for (var k = 0; k < this.nComponents; k++) {
+    p += this.weights[k] * gaussians[k].cdf(x);
+  }
+  if (!this.options.noise) return p;
+
+  var noiseRange = this._noiseRange();
+  var noise = Math.min(1, Math.max(0, (x - noiseRange[0]) / (noiseRange[1] - noiseRange[0])));
+  return (1 - this.noiseWeight) * p + this.noiseWeight * noise;
+};
+
+/**
+ * Compute the percent point function (quantile function) of the GMM, the inverse of its cumulative distribution function.
+ * As the mixture CDF has no closed-form inverse, it is inverted numerically with a bisection.
+ * It throws if the CDF does not reach p, e.g. when the weights do not sum to 1.
+ * @param {Number} p the probability, between 0 and 1
+ * @return {Number} the value x such that cdf(x) = p
+ * @example
+ var gmm = new GMM(2, [0.9, 0.1], [100, 1000], [100, 10000]);
+ gmm.ppf(0.99); // the 99th percentile of the mixture
+ */
+GMM.prototype.ppf = function (p) {
+  if (!(p >= 0 && p <= 1)) throw new Error('p must be between 0 and 1.');
+  if (p === 0) return -Infinity;
+  if (p === 1) return Infinity;
+
+  var gaussians = this._gaussians();
+  var lo = Infinity;
+  var hi = -Infinity;
+  for (var k = 0; k < this.nComponents; k++) {
+    lo = Math.min(lo, gaussians[k].mean - 10 * gaussians[k].standardDeviation);
+    hi = Math.max(hi, gaussians[k].mean + 10 * gaussians[k].standardDeviation);
+  }
+  // Widen the bracket until it contains the quantile.
+  for (var j = 0; j < MAX_ITERATIONS && this.cdf(lo, gaussians) > p; j++) lo -= hi - lo;
+  for (j = 0; j < MAX_ITERATIONS && this.cdf(hi, gaussians) < p; j++) hi += hi - lo;
+  if (!(isFinite(lo) && isFinite(hi) && this.cdf(lo, gaussians) <= p && this.cdf(hi, gaussians) >= p)) {
+    throw new Error('The quantile could not be bracketed: the distribution function does not reach p.');
+  }
+
+  for (var i = 0; i < MAX_ITERATIONS && hi - lo > EPSILON * Math.max(1, Math.abs(lo), Math.abs(hi)); i++) {
+    var mid = (lo + hi) / 2;
+    if (this.cdf(mid, gaussians) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Compute the probability that a sample of the GMM falls in the interval [a, b].
+ * @param {Number} a the lower bound of the interval
+ * @param {Number} b the upper bound of the interval
+ * @return {Number} the probability of the interval
+ * @example
+ var gmm = new GMM(2, [0.9, 0.1], [100, 1000], [100, 10000]);
+ gmm.probability(500, Infinity); // the probability of a sample above 500
+ */
+GMM.prototype.probability = function (a, b) {
+  if (a > b) throw new Error('The lower bound must not be greater than the upper bound.');
+
+  var gaussians = this._gaussians();
+  return this.cdf(b, gaussians) - this.cdf(a, gaussians);
+};
+
+/**
+ * Compute the mean of the GMM's distribution.
+ * @return {Number} the mean of the mixture
+ */
+GMM.prototype.mean = function () {
+  return GMM._barycenter(this.means, this.weights);
+};
+
+/**
+ * Compute the variance of the GMM's distribution.
+ * @return {Number} the variance of the mixture
+ */
+GMM.prototype.variance = function () {
+  return this.moments(2);
+};
+
+/**
+ * Compute a central moment of the GMM's distribution, i.e. E[(X - mean)^k], in closed form from the moments of the gaussians.
+ * @param {Number} k the order of the moment, a non-negative integer
+ * @return {Number} the k-th central moment of the mixture
+ * @example
+ var gmm = new GMM(2, [0.5, 0.5], [-1, 1], [1, 1]);
+ gmm.moments(2); // >> 2
+ gmm.moments(3); // >> 0
+ */
+GMM.prototype.moments = function (k) {
+  if (!(k >= 0 && k % 1 === 0)) throw new Error('The order of the moment must be a non-negative integer.');
+
+  var mean = this.mean();
+  var moment = 0;
+  for (var c = 0; c < this.nComponents; c++) {
+    // E[(delta + sigma * Z)^k] where Z is a standard gaussian, whose odd moments are 0 and even moments are (j - 1)!!
+    var delta = this.means[c] - mean;
+    var sigma = Math.sqrt(this.vars[c]);
+    var binomial = 1;
+    var gaussianMoment = 1;
+    var m = 0;
+    for (var j = 0; j <= k; j++) {
+      if (j > 0) binomial = binomial * (k - j + 1) / j;
+      if (j > 0 && j % 2 === 0) gaussianMoment *= j - 1;
+      if (j % 2 === 0) m += binomial * Math.pow(delta, k - j) * Math.pow(sigma, j) * gaussianMoment;
+    }
+    moment += this.weights[c] * m;
+  }
+  return moment;
+};
+
+/**
+ * Compute the skewness of the GMM's distribution.
+ * @return {Number} the third standardized moment of the mixture
+ */
+GMM.prototype.skewness = function () {
+  return this.moments(3) / Math.pow(this.variance(), 1.5);
+};
+
+/**
+ * Compute the kurtosis of the GMM's distribution (3 for a single gaussian).
+ * @return {Number} the fourth standardized moment of the mixture
+ */
+GMM.prototype.kurtosis = function () {
+  return this.moments(4) / Math.pow(this.variance(), 2);
+};
+
+/**
+ * Find the modes of the GMM's distribution, i.e. the local maxima of its density.
+ * The modes of a gaussian mixture lie between its smallest and largest means: the density is scanned on a grid
+ * over this range, and each local maximum of the grid is refined with a golden-section search.
+ * @return {Array} the sorted modes of the mixture
+ * @example
+ var gmm = new GMM(2, [0.5, 0.5], [0, 10], [1, 1]);
+ gmm.modes(); // >> [0, 10] (approximately)
+ */
+GMM.prototype.modes = function () {
+  var gaussians = this._gaussians();
+  var self = this;
+  var logPdf = function (x) { return self.logPdf(x, gaussians); };
+
+  var min = Math.min.apply(null, this.means);
+  var max = Math.max.apply(null, this.means);
+  var minSigma = Math.sqrt(Math.min.apply(null, this.vars));
+  if (max === min) return [min];
+
+  var n = Math.min(MODES_GRID_SIZE, Math.ceil(20 * (max - min) / minSigma) + 2);
+  var step = (max - min) / (n - 1);
+  var values = [];
+  for (var i = 0; i < n; i++) {
+    values.push(logPdf(min + i * step));
+  }
+
+  var modes = [];
+  for (i = 0; i < n; i++) {
+    var left = i === 0 ? -Infinity : values[i - 1];
+    var right = i === n - 1 ? -Infinity : values[i + 1];
+    if (values[i] > left && values[i] >= right) {
+      modes.push(goldenSectionMaximum(logPdf, min + (i - 1) * step, min + (i + 1) * step));
+    }
+  }
+  return modes;
+};
+
+/**
+ * Estimate the [differential entropy](https://en.wikipedia.org/wiki/Differential_entropy) of the GMM's distribution,
+ * -E[log p(X)], which has no closed form for mixtures. The expectation under each component is integrated numerically with Simpson's rule.
+ * @return {Number} the entropy of the mixture, in nats
+ */
+GMM.prototype.entropy = function () {
+  var gaussians = this._gaussians();
+  var entropy = 0;
+  for (var k = 0; k < this.nComponents; k++) {
+    var g = gaussians[k];
+    var self = this;
+    var integrand = function (x) {
+      var logPdf = self.logPdf(x, gaussians);
+      return logPdf === -Infinity ? 0 : Math.exp(logNormalPdf(x, g.mean, g.variance)) * logPdf;
+    };
+    entropy -= this.weights[k] * simpson(integrand, g.mean - 10 * g.standardDeviation, g.mean + 10 * g.standardDeviation, ENTROPY_GRID_SIZE);
+  }
+  return entropy;
 };
 
 /** @private
  * Perform one expectation-maximization step and update the GMM weights, means and variances in place.
  * Optionally, if options.variancePrior and options.priorRelevance are defined, mix in the prior.
- * @param {Array} data array of numbers representing the samples to use to update the model
- * @param {Array} memberships the memberships array for the given data (optional).
+ * @param {(Array|Float64Array)} data array of numbers representing the samples to use to update the model, or censored observations [lower, upper]
+ * @param {(Array|Float64Array)} memberships the memberships for the given data (optional), an array of arrays,
+ * or a buffer of memberships stored row by row, as computed by `_expectation`.
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @param {Array} truncation the range [lower, upper] outside of which the samples could not be observed (optional).
  */
-GMM.prototype._updateModel = function (data, memberships) {
+GMM.prototype._updateModel = function (data, memberships, sampleWeights, truncation) {
   // First, we compute the data memberships.
   var n = data.length;
-  if (!memberships) memberships = this.memberships(data);
-  var alpha;
+  var width = this.nComponents + (this.options.noise ? 1 : 0);
+  var previous = this._parameters();
+  if (!memberships) memberships = this._expectation(data).memberships;
+  else if (!ArrayBuffer.isView(memberships)) memberships = GMM._membershipsBuffer(memberships, width);
+  var total = n;
+  var i;
+  if (sampleWeights) {
+    total = 0;
+    for (i = 0; i < n; i++) total += sampleWeights[i];
+  }
+
+  // Censored observations contribute the moments of the components truncated to their interval,
+  // and truncation adds the expected statistics of the unobserved samples, both under the current parameters.
+  var censored = this._censoredMoments(data);
+  var missing = truncation ? this._missingStatistics(truncation) : null;
 
   // Update the mixture weights
   var componentWeights = [];
-  var reduceFunction = function (k) { return function (a, b) { return (a + b[k]); }; };
+  var columnSum = function (k) {
+    var sum = 0;
+    for (var j = 0; j < n; j++) sum += memberships[j * width + k] * (sampleWeights ? sampleWeights[j] : 1);
+    return sum;
+  };
   for (let k = 0; k < this.nComponents; k++) {
-    componentWeights[k] = memberships.reduce(reduceFunction(k), 0);
+    componentWeights[k] = columnSum(k);
+    if (missing) {
+      missing[k].count = componentWeights[k] * missing[k].ratio;
+      componentWeights[k] += missing[k].count;
+      total += missing[k].count;
+    }
   }
-  this.weights = componentWeights.map(function (a) { return a / n; });
+  if (this.options.noise) total = this._updateNoiseWeight(columnSum(this.nComponents), total);
+  this.weights = componentWeights.map(function (a) { return a / total; });
 
   // Update the mixture means
   for (let k = 0; k < this.nComponents; k++) {
-    this.means[k] = 0;
-    for (let i = 0; i < n; i++) {
-      this.means[k] += memberships[i][k] * data[i];
+    var mean = 0;
+    for (i = 0; i < n; i++) {
+      mean += memberships[i * width + k] * (sampleWeights ? sampleWeights[i] : 1) * (censored && censored[i] ? censored[i][k][0] : data[i]);
     }
-    this.means[k] /= componentWeights[k];
-  }
-  // If there is a separation prior:
-  if (this.options.separationPrior && this.options.separationPriorRelevance) {
-    var separationPrior = this.options.separationPrior;
-    var priorMeans = range(this.nComponents).map(function (a) { return (a * separationPrior); });
-    var priorCenter = GMM._barycenter(priorMeans, this.weights);
-    var center = GMM._barycenter(this.means, this.weights);
-    for (let k = 0; k < this.nComponents; k++) {
-      alpha = this.weights[k] / (this.weights[k] + this.options.separationPriorRelevance);
-      this.means[k] = center + alpha * (this.means[k] - center) + (1 - alpha) * (priorMeans[k] - priorCenter);
+    this.means[k] = mean;
+    if (missing) {
+      for (let j = 0; j < missing[k].parts.length; j++) {
+        this.means[k] += missing[k].count * missing[k].parts[j].fraction * missing[k].parts[j].mean;
+      }
     }
+    this.means[k] /= componentWeights[k];
   }
+  this._applySeparationPrior();
+  this._applyMeanConstraints(previous.means);
 
   // Update the mixture variances
+  var squares = function (moments, mean) { return Math.max(0, moments[1] - 2 * mean * moments[0] + mean * mean); };
   for (let k = 0; k < this.nComponents; k++) {
-    this.vars[k] = EPSILON; // initialize to some epsilon to avoid zero variance problems.
-    for (let i = 0; i < n; i++) {
-      this.vars[k] += memberships[i][k] * (data[i] - this.means[k]) * (data[i] - this.means[k]);
+    var variance = EPSILON; // initialize to some epsilon to avoid zero variance problems.
+    var mu = this.means[k];
+    for (i = 0; i < n; i++) {
+      var m = memberships[i * width + k] * (sampleWeights ? sampleWeights[i] : 1);
+      if (censored && censored[i]) variance += m * squares(censored[i][k], mu);
+      else variance += m * (data[i] - mu) * (data[i] - mu);
+    }
+    this.vars[k] = variance;
+    if (missing) {
+      for (let j = 0; j < missing[k].parts.length; j++) {
+        let part = missing[k].parts[j];
+        this.vars[k] += missing[k].count * part.fraction * squares([part.mean, part.secondMoment], this.means[k]);
+      }
     }
     this.vars[k] /= componentWeights[k];
-    // If there is a variance prior:
-    if (this.options.variancePrior && this.options.variancePriorRelevance) {
-      alpha = this.weights[k] / (this.weights[k] + this.options.variancePriorRelevance);
-      this.vars[k] = alpha * this.vars[k] + (1 - alpha) * this.options.variancePrior;
+    this._applyVariancePrior(k);
+  }
+  this._applyConjugatePrior(componentWeights, previous);
+  this._applyConstraints(previous, componentWeights);
+};
+
+/** @private
+ * If there is a noise component, update its weight in place given its sum of memberships.
+ * @param {Number} noiseCount the sum of the noise memberships (NaN if there is no noise component)
+ * @param {Number} total the total weight of the observations
+ * @return {Number} the total weight of the observations that are not noise, used to normalize the weights of the gaussians.
+ */
+GMM.prototype._updateNoiseWeight = function (noiseCount, total) {
+  if (!this.options.noise) return total;
+  this.noiseWeight = noiseCount / total;
+  return total - noiseCount;
+};
+
+/** @private
+ * Perform the expectation step on an array of data: compute the memberships of each datapoint for each component
+ * of the GMM (see `memberships`), and the log-likelihood (see `_logLikelihood`), in a single pass over the data.
+ * The memberships are stored row by row in a buffer: the membership of the datapoint i for the component k is at the index i * width + k,
+ * where width is nComponents, plus one for the noise component if any.
+ * @param {(Array|Float64Array)} data array of numbers, or censored observations [lower, upper]
+ * @param {Float64Array} buffer a buffer to reuse, if it has the right length (optional).
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @param {Array} truncation the range [lower, upper] outside of which the samples could not be observed (optional).
+ * @return {Object} an object with keys `memberships`, the buffer of memberships, and `logLikelihood`.
+ */
+GMM.prototype._expectation = function (data, buffer, sampleWeights, truncation) {
+  var nComponents = this.nComponents;
+  var width = nComponents + (this.options.noise ? 1 : 0);
+  var n = data.length;
+  if (!buffer || buffer.length !== n * width) buffer = new Float64Array(n * width);
+
+  var gaussians = this._gaussians();
+  var logWeights = this.weights.map(Math.log);
+  var logDensities = new Float64Array(nComponents);
+  var logWeightedDensities = new Float64Array(nComponents);
+  var logLikelihood = 0;
+  var total = 0;
+  var k;
+  for (var i = 0; i < n; i++) {
+    var x = data[i];
+    var offset = i * width;
+    var censored = Array.isArray(x);
+    for (k = 0; k < nComponents; k++) {
+      logDensities[k] = censored ?
+        truncatedNormal(gaussians[k].mean, gaussians[k].variance, x[0], x[1]).logProbability :
+        logNormalPdf(x, gaussians[k].mean, gaussians[k].variance);
+      logWeightedDensities[k] = logWeights[k] + logDensities[k];
+    }
+
+    this._storeMembership(logDensities, x, buffer, offset);
+
+    var w = sampleWeights ? sampleWeights[i] : 1;
+    if (!(w > 0)) continue;
+    var logDensity = this._withNoise(logSumExp(logWeightedDensities), x);
+    logLikelihood += sampleWeights ? w * logDensity : logDensity;
+    total += w;
+  }
+  if (truncation) logLikelihood -= total * this._logProbability(truncation[0], truncation[1]);
+
+  return {memberships: buffer, logLikelihood: logLikelihood};
+};
+
+/** @private
+ * Perform the expectation step on a histogram: compute the memberships of each bin for each component of the GMM
+ * (see `_membershipsHistogram`), and the log-likelihood (see `_logLikelihoodHistogram`), in a single pass over the bins.
+ * The memberships are stored row by row in a buffer, like in `_expectation`, with one row per key of `h.counts`, in the order of `Object.keys`.
+ * @param {Histogram} h histogram representing the data.
+ * @param {Float64Array} buffer a buffer to reuse, if it has the right length (optional).
+ * @return {Object} an object with keys `memberships`, the buffer of memberships, `logLikelihood`,
+ * and `binned`, the statistics of the bins for the exact binned EM (see `_binStatistics`), or null.
+ */
+GMM.prototype._expectationHistogram = function (h, buffer) {
+  var nComponents = this.nComponents;
+  var width = nComponents + (this.options.noise ? 1 : 0);
+  var keys = Object.keys(h.counts);
+  var n = keys.length;
+  if (!buffer || buffer.length !== n * width) buffer = new Float64Array(n * width);
+
+  // With exact binned EM, the densities are the probabilities of the bins, and the memberships are those of `_binStatistics`.
+  var binned = this.options.binned ? this._binStatistics(h) : null;
+  var gaussians = binned ? null : this._gaussians();
+  var logWeights = this.weights.map(Math.log);
+  var logDensities = new Float64Array(nComponents);
+  var logWeightedDensities = new Float64Array(nComponents);
+  var logLikelihood = 0;
+  var k;
+  for (var i = 0; i < n; i++) {
+    var key = keys[i];
+    var offset = i * width;
+    var x;
+    if (binned) {
+      x = h.bounds(key);
+      let logProbabilities = binned.logProbabilities[key];
+      let membership = binned.memberships[key];
+      for (k = 0; k < nComponents; k++) logDensities[k] = logProbabilities[k];
+      for (k = 0; k < width; k++) buffer[offset + k] = membership[k];
+    } else {
+      x = h.value(key);
+      for (k = 0; k < nComponents; k++) logDensities[k] = logNormalPdf(x, gaussians[k].mean, gaussians[k].variance);
+      this._storeMembership(logDensities, x, buffer, offset);
+    }
+
+    if (h.counts[key] === 0) continue;
+    for (k = 0; k < nComponents; k++) logWeightedDensities[k] = logWeights[k] + logDensities[k];
+    logLikelihood += this._withNoise(logSumExp(logWeightedDensities), x) * h.counts[key];
+  }
+  return {memberships: buffer, logLikelihood: logLikelihood, binned: binned};
+};
+
+/** @private
+ * Normalize the log-densities of a datapoint into its memberships, and store them in a row of a buffer.
+ * This is the computation of `_normalizeLogMembership`, without allocating arrays for each datapoint.
+ * @param {Float64Array} logDensities the log-densities of the datapoint under each gaussian
+ * @param {(Number|Array)} x number or censored observation [lower, upper]
+ * @param {Float64Array} buffer the buffer of memberships
+ * @param {Number} offset the index of the row in the buffer
+ */
+GMM.prototype._storeMembership = function (logDensities, x, buffer, offset) {
+  var nComponents = this.nComponents;
+  var logSum = logSumExp(logDensities);
+  var k;
+  if (this.options.noise) {
+    var logNoise = this._logNoiseMembership(logDensities, this._logNoiseDensity(x));
+    for (k = 0; k < nComponents; k++) buffer[offset + k] = Math.exp(logDensities[k] - logSum + logNoise[0]);
+    buffer[offset + nComponents] = Math.exp(logNoise[1]);
+  } else {
+    for (k = 0; k < nComponents; k++) buffer[offset + k] = Math.exp(logDensities[k] - logSum);
+  }
+};
+
+/** @private
+ * Store memberships row by row in a buffer, see `_expectation`.
+ * @param {Array} memberships (data.length * width) matrix with membership weights
+ * @param {Number} width the number of memberships of each datapoint
+ * @return {Float64Array} the buffer of memberships
+ */
+GMM._membershipsBuffer = function (memberships, width) {
+  var buffer = new Float64Array(memberships.length * width);
+  for (var i = 0, n = memberships.length; i < n; i++) {
+    for (var k = 0; k < width; k++) buffer[i * width + k] = memberships[i][k];
+  }
+  return buffer;
+};
+
+/** @private
+ * Compute the first two moments of each component truncated to the interval of each censored observation.
+ * @param {(Array|Float64Array)} data array of numbers or censored observations [lower, upper]
+ * @return {Array} null if there is no censored observation, or an array of length data.length, with null for the exact observations,
+ * and for the censored ones an array of length nComponents of [E(x), E(x^2)] under the truncated components.
+ */
+GMM.prototype._censoredMoments = function (data) {
+  if (ArrayBuffer.isView(data) || !data.some(Array.isArray)) return null;
+  var moments = [];
+  for (var i = 0, n = data.length; i < n; i++) {
+    if (!Array.isArray(data[i])) {
+      moments.push(null);
+      continue;
     }
+    var observationMoments = [];
+    for (var k = 0; k < this.nComponents; k++) {
+      var truncated = truncatedNormal(this.means[k], this.vars[k], data[i][0], data[i][1]);
+      observationMoments.push([truncated.mean, truncated.secondMoment]);
+    }
+    moments.push(observationMoments);
+  }
+  return moments;
+};
+
+/** @private
+ * Compute, for each component, the expected statistics of the samples that fall outside of the truncation range.
+ * For every observed sample of a component, (1 - p) / p samples are expected to be missing, p being the probability
+ * of the truncation range under the component, and they are split between the two sides of the range.
+ * @param {Array} truncation the range [lower, upper] outside of which the samples could not be observed
+ * @return {Array} an array of length nComponents of objects with keys `ratio` (the number of missing samples per observed sample)
+ * and `parts`, an array of objects with keys `fraction`, `mean` and `secondMoment` for each side of the range.
+ */
+GMM.prototype._missingStatistics = function (truncation) {
+  var statistics = [];
+  for (var k = 0; k < this.nComponents; k++) {
+    var inside = Math.exp(truncatedNormal(this.means[k], this.vars[k], truncation[0], truncation[1]).logProbability);
+    var parts = [];
+    if (truncation[0] > -Infinity) parts.push(truncatedNormal(this.means[k], this.vars[k], -Infinity, truncation[0]));
+    if (truncation[1] < Infinity) parts.push(truncatedNormal(this.means[k], this.vars[k], truncation[1], Infinity));
+
+    var outside = parts.reduce(function (a, b) { return a + Math.exp(b.logProbability); }, 0);
+    statistics.push({
+      ratio: outside > 0 ? (1 - inside) / Math.max(inside, EPSILON) : 0,
+      parts: parts.map(function (part) {
+        return {fraction: Math.exp(part.logProbability) / outside, mean: part.mean, secondMoment: part.secondMoment};
+      })
+    });
   }
+  return statistics;
 };
 
 /** @private
  * Perform one expectation-maximization step and update the GMM weights, means and variances in place.
  * Optionally, if options.variancePrior and options.priorRelevance are defined, mix in the prior.
  * @param {Histogram} h histogram representing the data.
- * @param {Array} memberships the memberships object for the given histogram (optional).
+ * @param {(Object|Float64Array)} memberships the memberships for the given histogram (optional), a hash from key to memberships,
+ * or a buffer of memberships stored row by row, as computed by `_expectationHistogram`.
+ * @param {Object} binned the statistics of the bins under the current parameters for the exact binned EM, see `_binStatistics` (optional).
  */
-GMM.prototype._updateModelHistogram = function (h, memberships) {
+GMM.prototype._updateModelHistogram = function (h, memberships, binned) {
   // First, we compute the data memberships.
-  var n = h.total;
-  if (!memberships) memberships = this._membershipsHistogram(h);
-  var alpha;
-
+  // With exact binned EM, the bins are not collapsed to their values but to the moments of the truncated components.
+  var total = h.total;
+  var width = this.nComponents + (this.options.noise ? 1 : 0);
+  var previous = this._parameters();
   var keys = Object.keys(h.counts);
+  var n = keys.length;
+  if (!memberships) {
+    var expectation = this._expectationHistogram(h);
+    memberships = expectation.memberships;
+    binned = expectation.binned;
+  } else if (!ArrayBuffer.isView(memberships)) {
+    memberships = GMM._membershipsBuffer(keys.map(function (key) { return memberships[key]; }), width);
+  }
+  if (!this.options.binned) binned = null;
+  else if (!binned) binned = this._binStatistics(h);
+
+  var counts = new Float64Array(n);
+  var values = binned ? null : new Float64Array(n);
+  var i;
+  for (i = 0; i < n; i++) {
+    counts[i] = h.counts[keys[i]];
+    if (!binned) values[i] = h.value(keys[i]);
+  }
 
   // Update the mixture weights
   var componentWeights = [];
-  var reduceFunction = function (k) { return function (a, b) { return (a + memberships[b][k] * h.counts[b]); }; };
+  var columnSum = function (k) {
+    var sum = 0;
+    for (var j = 0; j < n; j++) sum += memberships[j * width + k] * counts[j];
+    return sum;
+  };
   for (let k = 0; k < this.nComponents; k++) {
-    componentWeights[k] = keys.reduce(reduceFunction(k), 0);
+    componentWeights[k] = columnSum(k);
   }
-  this.weights = componentWeights.map(function (a) { return a / n; });
+  if (this.options.noise) total = this._updateNoiseWeight(columnSum(this.nComponents), total);
+  this.weights = componentWeights.map(function (a) { return a / total; });
 
   // Update the mixture means
   for (let k = 0; k < this.nComponents; k++) {
-    this.means[k] = 0;
-    for (let i = 0; i < keys.length; i++) {
-      let key = keys[i];
-      let v = h.value(key);
+    var mean = 0;
+    for (i = 0; i < n; i++) {
+      mean += memberships[i * width + k] * (binned ? binned.moments[keys[i]][k][0] : values[i]) * counts[i];
+    }
+    this.means[k] = mean / componentWeights[k];
+  }
+
+  this._applySeparationPrior();
+  this._applyMeanConstraints(previous.means);
 
-      this.means[k] += memberships[key][k] * v * h.counts[key];
+  // Update the mixture variances
+  for (let k = 0; k < this.nComponents; k++) {
+    var variance = EPSILON; // initialize to some epsilon to avoid zero variance problems.
+    var mu = this.means[k];
+    for (i = 0; i < n; i++) {
+      if (binned) {
+        let m = binned.moments[keys[i]][k];
+        let squares = Math.max(0, m[1] - 2 * mu * m[0] + mu * mu);
+        variance += memberships[i * width + k] * squares * counts[i];
+      } else {
+        variance += memberships[i * width + k] * (values[i] - mu) * (values[i] - mu) * counts[i];
+      }
     }
-    this.means[k] /= componentWeights[k];
+    this.vars[k] = variance / componentWeights[k];
+    this._applyVariancePrior(k);
+  }
+  this._applyConjugatePrior(componentWeights, previous);
+  this._applyConstraints(previous, componentWeights);
+};
+
+/** @private
+ * If there is a separation prior, mix it in the means in place.
+ */
+GMM.prototype._applySeparationPrior = function () {
+  if (!this.options.separationPrior || !this.options.separationPriorRelevance) return;
+
+  var separationPrior = this.options.separationPrior;
+  var priorMeans = range(this.nComponents).map(function (a) { return (a * separationPrior); });
+  var priorCenter = GMM._barycenter(priorMeans, this.weights);
+  var center = GMM._barycenter(this.means, this.weights);
+  for (var k = 0; k < this.nComponents; k++) {
+    var alpha = this.weights[k] / (this.weights[k] + this.options.separationPriorRelevance);
+    this.means[k] = center + alpha * (this.means[k] - center) + (1 - alpha) * (priorMeans[k] - priorCenter);
   }
+};
+
+/** @private
+ * If there is a variance prior, mix it in the variance of a component in place.
+ * @param {Number} k the index of the component
+ */
+GMM.prototype._applyVariancePrior = function (k) {
+  if (!this.options.variancePrior || !this.options.variancePriorRelevance) return;
 
-  // If there is a separation prior:
-  if (this.options.separationPrior && this.options.separationPriorRelevance) {
-    var separationPrior = this.options.separationPrior;
-    var priorMeans = range(this.nComponents).map(function (a) { return (a * separationPrior); });
-    var priorCenter = GMM._barycenter(priorMeans, this.weights);
-    var center = GMM._barycenter(this.means, this.weights);
-    for (let k = 0; k < this.nComponents; k++) {
-      alpha = this.weights[k] / (this.weights[k] + this.options.separationPriorRelevance);
-      this.means[k] = center + alpha * (this.means[k] - center) + (1 - alpha) * (priorMeans[k] - priorCenter);
+  var alpha = this.weights[k] / (this.weights[k] + this.options.variancePriorRelevance);
+  this.vars[k] = alpha * this.vars[k] + (1 - alpha) * this.options.variancePrior;
+};
+
+/** @private
+ * If there is a conjugate prior, replace in place the maximum likelihood estimates of the last expectation-maximization step
+ * by the maximum a posteriori estimates.
+ * A component without any membership gets the mode of the prior, or keeps its previous parameters where the prior is flat.
+ * @param {Array} componentWeights the sum of the memberships of each component
+ * @param {Object} previous the parameters before the expectation-maximization step, see `_parameters`
+ */
+GMM.prototype._applyConjugatePrior = function (componentWeights, previous) {
+  if (!this.options.prior) return;
+
+  var prior = GMM._conjugatePrior(this.options.prior, this.nComponents);
+  var k;
+
+  // Dirichlet prior on the weights, the components with a zero maximum a posteriori weight stay on the boundary.
+  var counts = [];
+  for (k = 0; k < this.nComponents; k++) {
+    counts.push(Math.max(0, componentWeights[k] + prior.concentration[k] - 1));
+  }
+  var total = counts.reduce(function (a, b) { return a + b; }, 0);
+  if (total > 0) this.weights = counts.map(function (a) { return a / total; });
+
+  // Normal-Inverse-Gamma prior on the means and variances.
+  for (k = 0; k < this.nComponents; k++) {
+    var n = componentWeights[k];
+    var kappa = prior.meanStrength[k];
+    if (!(n > 0)) {
+      this.means[k] = kappa > 0 ? prior.mean[k] : previous.means[k];
+      this.vars[k] = prior.shape ? 2 * prior.scale[k] / (2 * prior.shape[k] + 3) : previous.vars[k];
+      continue;
     }
+    var mean = (n * this.means[k] + kappa * prior.mean[k]) / (n + kappa);
+    var squares = n * this.vars[k] + n * (this.means[k] - mean) * (this.means[k] - mean);
+
+    if (prior.shape) {
+      squares += 2 * prior.scale[k] + kappa * (mean - prior.mean[k]) * (mean - prior.mean[k]);
+      this.vars[k] = squares / (n + 2 * prior.shape[k] + 3);
+    } else {
+      this.vars[k] = squares / n;
+    }
+    this.means[k] = mean;
   }
+};
 
-  // Update the mixture variances
-  for (let k = 0; k < this.nComponents; k++) {
-    this.vars[k] = EPSILON; // initialize to some epsilon to avoid zero variance problems.
-    for (let i = 0; i < keys.length; i++) {
-      let key = keys[i];
-      let v = h.value(key);
-      this.vars[k] += memberships[key][k] * (v - this.means[k]) * (v - this.means[k]) * h.counts[key];
+/** @private
+ * Check the hyperparameters of a conjugate prior and expand them to one value per component.
+ * @param {Object} prior an object that can define `concentration`, `mean`, `meanStrength`, `shape` and `scale`, see the GMM constructor
+ * @param {Number} nComponents number of components in the mixture
+ * @return {Object} an object with the same keys, whose values are arrays of length nComponents (`shape` and `scale` are null without a variance prior)
+ */
+GMM._conjugatePrior = function (prior, nComponents) {
+  var expand = function (name, defaultValue, isValid) {
+    var value = prior[name] === undefined ? defaultValue : prior[name];
+    var values = Array.isArray(value) ? value : range(nComponents).map(function () { return value; });
+    if (values.length !== nComponents || !values.every(isValid)) {
+      throw new Error('prior.' + name + ' must be a valid number or an array of nComponents valid numbers.');
     }
-    this.vars[k] /= componentWeights[k];
-    // If there is a variance prior:
-    if (this.options.variancePrior && this.options.variancePriorRelevance) {
-      alpha = this.weights[k] / (this.weights[k] + this.options.variancePriorRelevance);
-      this.vars[k] = alpha * this.vars[k] + (1 - alpha) * this.options.variancePrior;
+    return values;
+  };
+  var isPositive = function (a) { return a > 0 && a < Infinity; };
+  var isNonNegative = function (a) { return a >= 0 && a < Infinity; };
+
+  if ((prior.shape === undefined) !== (prior.scale === undefined)) throw new Error('prior.shape and prior.scale must be defined together.');
+  return {
+    concentration: expand('concentration', 1, isPositive),
+    mean: expand('mean', 0, Number.isFinite),
+    meanStrength: expand('meanStrength', 0, isNonNegative),
+    shape: prior.shape === undefined ? null : expand('shape', null, isPositive),
+    scale: prior.scale === undefined ? null : expand('scale', null, isPositive)
+  };
+};
+
+/** @private
+ * Return a copy of the weights, means and variances of the GMM.
+ * @return {Object} an object with keys `weights`, `means` and `vars`
+ */
+GMM.prototype._parameters = function () {
+  return {weights: this.weights.slice(), means: this.means.slice(), vars: this.vars.slice()};
+};
+
+/** @private
+ * If there are constraints on the means, apply them to the means in place: the bounds, then the fixed means.
+ * @param {Array} previousMeans the means before the expectation-maximization step
+ */
+GMM.prototype._applyMeanConstraints = function (previousMeans) {
+  var constraints = this.options.constraints;
+  if (!constraints) return;
+
+  var bounds = GMM._componentBounds(constraints.meanBounds, this.nComponents, 'meanBounds');
+  var fixed = GMM._componentFlags(constraints.fixedMeans, this.nComponents, 'fixedMeans');
+  for (var k = 0; k < this.nComponents; k++) {
+    if (bounds) this.means[k] = Math.min(bounds[k][1], Math.max(bounds[k][0], this.means[k]));
+    if (fixed[k]) this.means[k] = previousMeans[k];
+  }
+};
+
+/** @private
+ * If there are constraints, apply them in place at the end of an expectation-maximization step.
+ * The fixed weights are restored and the other weights are scaled to sum to the rest,
+ * the variances are tied, then bounded, then the fixed variances are restored.
+ * @param {Object} previous the weights, means and variances before the step, see `_parameters`
+ * @param {Array} componentWeights the sum of the memberships of each component
+ */
+GMM.prototype._applyConstraints = function (previous, componentWeights) {
+  var constraints = this.options.constraints;
+  if (!constraints) return;
+
+  var nComponents = this.nComponents;
+  var k;
+  this._applyMeanConstraints(previous.means);
+
+  // Weights
+  var fixedWeights = GMM._componentFlags(constraints.fixedWeights, nComponents, 'fixedWeights');
+  var fixedTotal = 0;
+  var freeTotal = 0;
+  for (k = 0; k < nComponents; k++) {
+    if (fixedWeights[k]) fixedTotal += previous.weights[k];
+    else freeTotal += this.weights[k];
+  }
+  var nFree = fixedWeights.filter(function (a) { return !a; }).length;
+  for (k = 0; k < nComponents; k++) {
+    if (fixedWeights[k]) this.weights[k] = previous.weights[k];
+    else if (freeTotal > 0) this.weights[k] *= Math.max(0, 1 - fixedTotal) / freeTotal;
+    else this.weights[k] = Math.max(0, 1 - fixedTotal) / nFree;
+  }
+
+  // Variances
+  var fixedVars = GMM._componentFlags(constraints.fixedVars, nComponents, 'fixedVars');
+  if (constraints.tiedVariance) {
+    if (fixedVars.some(function (a) { return a; })) throw new Error('tiedVariance cannot be combined with fixedVars.');
+    var pooled = 0;
+    var count = 0;
+    for (k = 0; k < nComponents; k++) {
+      pooled += componentWeights[k] * this.vars[k];
+      count += componentWeights[k];
+    }
+    for (k = 0; k < nComponents; k++) {
+      this.vars[k] = count > 0 ? pooled / count : previous.vars[k];
+    }
+  }
+  var varianceBounds = GMM._componentBounds(constraints.varianceBounds, nComponents, 'varianceBounds');
+  for (k = 0; k < nComponents; k++) {
+    if (varianceBounds) this.vars[k] = Math.min(varianceBounds[k][1], Math.max(varianceBounds[k][0], this.vars[k]));
+    if (fixedVars[k]) this.vars[k] = previous.vars[k];
+  }
+};
+
+/** @private
+ * Expand a constraint flag to one boolean per component.
+ * @param {(Boolean|Array)} value true or false for all components, or an array of nComponents booleans (optional).
+ * @param {Number} nComponents number of components in the mixture
+ * @param {String} name the name of the constraint, for the error message
+ * @return {Array} an array of nComponents booleans
+ */
+GMM._componentFlags = function (value, nComponents, name) {
+  if (!Array.isArray(value)) return range(nComponents).map(function () { return Boolean(value); });
+  if (value.length !== nComponents) throw new Error('constraints.' + name + ' must be a boolean or an array of nComponents booleans.');
+  return value.map(Boolean);
+};
+
+/** @private
+ * Expand a bounds constraint to one range per component.
+ * @param {Array} value a range [lower, upper] for all components, or an array of nComponents ranges (optional).
+ * @param {Number} nComponents number of components in the mixture
+ * @param {String} name the name of the constraint, for the error message
+ * @return {Array} an array of nComponents ranges, or null if there are no bounds.
+ */
+GMM._componentBounds = function (value, nComponents, name) {
+  if (value === undefined || value === null) return null;
+
+  var bounds = Array.isArray(value) && Array.isArray(value[0]) ? value : range(nComponents).map(function () { return value; });
+  var isValid = bounds.length === nComponents && bounds.every(function (b) {
+    return Array.isArray(b) && b.length === 2 && b[0] <= b[1];
+  });
+  if (!isValid) throw new Error('constraints.' + name + ' must be a range [lower, upper] or an array of nComponents ranges.');
+  return bounds;
+};
+
+/**
+ * Update the GMM in place with a batch of new observations, with the stepwise (online) expectation-maximization algorithm.
+ * The GMM keeps running sufficient statistics (the expected weight, sum and sum of squares of each component),
+ * and each batch moves them towards the statistics of the batch with a step size of (t + stepSizeOffset)^(-stepSizeDecay),
+ * t being the number of batches seen so far. `stepSizeDecay` (default 0.6) must be in (0.5, 1], and `stepSizeOffset` (default 2)
+ * must be positive: they can be defined in the options of the GMM.
+ * This allows to track a stream of data without keeping its history. Calling `optimize` resets the running statistics.
+ * @param {(Array|Histogram)} batch the new observations, as an array or as a histogram of the observations since the previous batch
+ * @return {GMM} the updated GMM
+ * @example
+ var gmm = new GMM(2, undefined, [0, 10], [1, 1]);
+ gmm.partialFit([0.1, 9.8, 10.3]).partialFit([-0.2, 10.1]);
+ */
+GMM.prototype.partialFit = function (batch) {
+  var decay = this.options.stepSizeDecay === undefined ? 0.6 : this.options.stepSizeDecay;
+  var offset = this.options.stepSizeOffset === undefined ? 2 : this.options.stepSizeOffset;
+  if (!(decay > 0.5 && decay <= 1)) throw new Error('stepSizeDecay must be in (0.5, 1].');
+  if (!(offset > 0)) throw new Error('stepSizeOffset must be positive.');
+
+  var values, counts;
+  if (GMM._isArrayLike(batch)) {
+    values = batch;
+    counts = batch.map(function () { return 1; });
+  } else if (Histogram.prototype.isPrototypeOf(batch)) {
+    var keys = Object.keys(batch.counts);
+    values = keys.map(function (key) { return batch.value(key); });
+    counts = keys.map(function (key) { return batch.counts[key]; });
+  } else {
+    throw new Error('Data must be an Array of a Histogram.');
+  }
+
+  var n = counts.reduce(function (a, b) { return a + b; }, 0);
+  if (n === 0) return this;
+
+  var k;
+  var stats = this._sufficientStatistics;
+  if (!stats) {
+    stats = this._sufficientStatistics = {t: 0, s0: [], s1: [], s2: []};
+    var inlier = this.options.noise ? 1 - this.noiseWeight : 1;
+    for (k = 0; k < this.nComponents; k++) {
+      stats.s0[k] = inlier * this.weights[k];
+      stats.s1[k] = inlier * this.weights[k] * this.means[k];
+      stats.s2[k] = inlier * this.weights[k] * (this.vars[k] + this.means[k] * this.means[k]);
+    }
+    if (this.options.noise) stats.noise = this.noiseWeight;
+  }
+
+  // Move the running statistics towards the statistics of the batch.
+  stats.t += 1;
+  var step = Math.pow(stats.t + offset, -decay);
+  var memberships = this.memberships(values);
+  for (k = 0; k < this.nComponents; k++) {
+    var b0 = 0;
+    var b1 = 0;
+    var b2 = 0;
+    for (var i = 0; i < values.length; i++) {
+      var m = memberships[i][k] * counts[i];
+      b0 += m;
+      b1 += m * values[i];
+      b2 += m * values[i] * values[i];
+    }
+    stats.s0[k] += step * (b0 / n - stats.s0[k]);
+    stats.s1[k] += step * (b1 / n - stats.s1[k]);
+    stats.s2[k] += step * (b2 / n - stats.s2[k]);
+  }
+  if (this.options.noise) {
+    var noise = 0;
+    for (var j = 0; j < values.length; j++) {
+      noise += memberships[j][this.nComponents] * counts[j];
     }
+    stats.noise += step * (noise / n - stats.noise);
   }
+
+  // Derive the parameters from the running statistics.
+  var previous = this._parameters();
+  var total = stats.s0.reduce(function (a, b) { return a + b; }, 0);
+  if (this.options.noise) this.noiseWeight = stats.noise / (stats.noise + total);
+  this.weights = stats.s0.map(function (a) { return a / total; });
+  for (k = 0; k < this.nComponents; k++) {
+    this.means[k] = stats.s1[k] / stats.s0[k];
+  }
+  this._applySeparationPrior();
+  this._applyMeanConstraints(previous.means);
+  for (k = 0; k < this.nComponents; k++) {
+    var squares = Math.max(0, stats.s2[k] - 2 * this.means[k] * stats.s1[k] + stats.s0[k] * this.means[k] * this.means[k]);
+    this.vars[k] = (EPSILON + squares) / stats.s0[k];
+    this._applyVariancePrior(k);
+  }
+  this._applyConstraints(previous, stats.s0);
+
+  return this;
+};
+
+/**
+ * Update the GMM in place with a single new observation, with the stepwise (online) expectation-maximization algorithm.
+ * This is equivalent to `partialFit([x])`.
+ * @param {Number} x the new observation
+ * @return {GMM} the updated GMM
+ */
+GMM.prototype.update = function (x) {
+  return this.partialFit([x]);
 };
 
 /**
  * Compute the [log-likelihood](https://en.wikipedia.org/wiki/Likelihood_function#Log-likelihood) for the GMM given data.
+ * The data array can contain censored observations [lower, upper] (see `optimize`).
  * @param {(Array|Histogram)} data the data array or histogram
+ * @param {Object} [options={}] an object that can define `sampleWeights` and `truncation` (see `optimize`)
  * @return {Number} the log-likelihood
  */
-GMM.prototype.logLikelihood = function (data) {
-  if (Array.isArray(data)) return this._logLikelihood(data);
-  if (Histogram.prototype.isPrototypeOf(data)) return this._logLikelihoodHistogram(data);
+GMM.prototype.logLikelihood = function (data, options) {
+  var sampleWeights = options && options.sampleWeights;
+  var truncation = options && options.truncation;
+  if (GMM._isArrayLike(data)) {
+    GMM._checkSampleWeights(data, sampleWeights);
+    return this._logLikelihood(GMM._censor(data, truncation), sampleWeights, truncation);
+  }
+  if (Histogram.prototype.isPrototypeOf(data)) {
+    if (sampleWeights) throw new Error('sampleWeights can only be used with an Array of data.');
+    if (truncation) throw new Error('truncation can only be used with an Array of data.');
+    return this._logLikelihoodHistogram(data);
+  }
 
   throw new Error('Data must be an Array of a Histogram.');
 };
 
 /** @private
  * Compute the [log-likelihood](https://en.wikipedia.org/wiki/Likelihood_function#Log-likelihood) for the GMM given an array of data.
- * @param {Array} data the data array
+ * A censored observation contributes the log of the probability of its interval.
+ * With a truncation range, the density is normalized by the probability of the range.
+ * @param {Array} data the data array, of numbers or censored observations [lower, upper]
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @param {Array} truncation the range [lower, upper] outside of which the samples could not be observed (optional).
  * @return {Number} the log-likelihood
  */
-GMM.prototype._logLikelihood = function (data) {
+GMM.prototype._logLikelihood = function (data, sampleWeights, truncation) {
   var l = 0;
-  var p = 0;
+  var total = 0;
   var gaussians = this._gaussians();
+  var logWeights = this.weights.map(Math.log);
+  var logDensities = new Float64Array(this.nComponents);
   for (var i = 0, n = data.length; i < n; i++) {
-    p = 0;
-    for (var k = 0; k < this.nComponents; k++) {
-      p += this.weights[k] * gaussians[k].pdf(data[i]);
-    }
-    if (p === 0) {
-      return -Infinity;
+    var w = sampleWeights ? sampleWeights[i] : 1;
+    if (!(w > 0)) continue;
+    var x = data[i];
+    var logDensity;
+    if (Array.isArray(x)) {
+      logDensity = this._logProbability(x[0], x[1]);
     } else {
-      l += Math.log(p);
+      // Same computation as `logPdf`, without allocating an array for each datapoint.
+      for (var k = 0; k < this.nComponents; k++) {
+        logDensities[k] = logWeights[k] + logNormalPdf(x, gaussians[k].mean, gaussians[k].variance);
+      }
+      logDensity = this._withNoise(logSumExp(logDensities), x);
     }
+    l += sampleWeights ? w * logDensity : logDensity;
+    total += w;
   }
+  if (truncation) l -= total * this._logProbability(truncation[0], truncation[1]);
   return l;
 };
 
+/** @private
+ * Compute the log of the probability of an interval under the GMM.
+ * @param {Number} lower the lower bound of the interval, possibly -Infinity
+ * @param {Number} upper the upper bound of the interval, possibly Infinity
+ * @return {Number} the log-probability
+ */
+GMM.prototype._logProbability = function (lower, upper) {
+  var logProbabilities = [];
+  for (var k = 0; k < this.nComponents; k++) {
+    logProbabilities.push(Math.log(this.weights[k]) + truncatedNormal(this.means[k], this.vars[k], lower, upper).logProbability);
+  }
+  return this._withNoise(logSumExp(logProbabilities), [lower, upper]);
+};
+
+/** @private
+ * Check the censored observations and the truncation range, and clip the censored observations to the truncation range.
+ * @param {Array} data the data array, of numbers or censored observations [lower, upper]
+ * @param {Array} truncation the range [lower, upper] outside of which the samples could not be observed (optional).
+ * @return {Array} the data array, with the censored observations clipped to the truncation range (always an Array, even for a typed array).
+ */
+GMM._censor = function (data, truncation) {
+  if (truncation && !(Array.isArray(truncation) && truncation.length === 2 && truncation[0] < truncation[1])) {
+    throw new Error('truncation must be a range [lower, upper] with lower < upper.');
+  }
+  var lower = truncation ? truncation[0] : -Infinity;
+  var upper = truncation ? truncation[1] : Infinity;
+
+  return Array.prototype.map.call(data, function (x) {
+    if (!Array.isArray(x)) {
+      if (x < lower || x > upper) throw new Error('Observations must be within the truncation range.');
+      return x;
+    }
+    if (x.length !== 2 || !(x[0] <= x[1]) || !(isFinite(x[0]) || isFinite(x[1]))) {
+      throw new Error('Censored observations must be ranges [lower, upper] with lower <= upper and at least one finite bound.');
+    }
+    if (x[0] >= lower && x[1] <= upper) return x;
+
+    var clipped = [Math.max(x[0], lower), Math.min(x[1], upper)];
+    if (clipped[0] > clipped[1]) throw new Error('Observations must be within the truncation range.');
+    return clipped;
+  });
+};
+
+/** @private
+ * Tell whether data is an array of observations: an Array, or a typed array such as a Float64Array.
+ * @param {*} data the data
+ * @return {Boolean} true for an Array or a typed array
+ */
+GMM._isArrayLike = function (data) {
+  return Array.isArray(data) || ArrayBuffer.isView(data);
+};
+
+/** @private
+ * Check that the sample weights are valid for the given data.
+ * @param {Array} data the data array
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ */
+GMM._checkSampleWeights = function (data, sampleWeights) {
+  if (!sampleWeights) return;
+  if (sampleWeights.length !== data.length) throw new Error('sampleWeights must have as many elements as the data.');
+
+  var total = 0;
+  for (var i = 0; i < sampleWeights.length; i++) {
+    if (!(sampleWeights[i] >= 0 && sampleWeights[i] < Infinity)) throw new Error('sampleWeights must be non-negative numbers.');
+    total += sampleWeights[i];
+  }
+  if (total === 0) throw new Error('sampleWeights must not all be zero.');
+};
+
 /** @private
  * Compute the [log-likelihood](https://en.wikipedia.org/wiki/Likelihood_function#Log-likelihood) for the GMM given a histogram.
  * @param {Histogram} h the data histogram
@@ -285,101 +1422,390 @@ GMM.prototype._logLikelihood = function (data) {
  */
 GMM.prototype._logLikelihoodHistogram = function (h) {
   var l = 0;
-  var p = 0;
   var gaussians = this._gaussians();
+  var binned = this.options.binned ? this._binStatistics(h) : null;
+  var logWeights = this.weights.map(Math.log);
 
   var keys = Object.keys(h.counts);
 
   for (var i = 0, n = keys.length; i < n; i++) {
-    p = 0;
     let key = keys[i];
-    let v = h.value(key);
-
-    for (var k = 0; k < this.nComponents; k++) {
-      p += this.weights[k] * gaussians[k].pdf(v);
-    }
-
-    if (p === 0) {
-      return -Infinity;
+    if (h.counts[key] === 0) continue;
+    if (binned) {
+      let logProbabilities = binned.logProbabilities[key];
+      let logGaussian = logSumExp(logWeights.map(function (a, k) { return a + logProbabilities[k]; }));
+      l += this._withNoise(logGaussian, h.bounds(key)) * h.counts[key];
     } else {
-      l += Math.log(p) * h.counts[key];
+      l += this.logPdf(h.value(key), gaussians) * h.counts[key];
     }
   }
   return l;
 };
 
+/**
+ * Compute the optimal GMM components given an array of data.
+ * If options define `initialize`, the optimization will begin with a data-dependent initialization.
+ * This should converge quicker and to a better model. The strategies are:
+ * 'kmeans++' (or true), the [K-means++](https://en.wikipedia.org/wiki/K-means%2B%2B) seeds with each datapoint assigned to its closest seed,
+ * 'kmeans', the K-means++ seeds refined with Lloyd's algorithm until the assignments do not change anymore,
+ * 'quantile', evenly spaced quantiles of the data as seeds, with each datapoint assigned to its closest seed,
+ * 'random', random memberships for each datapoint,
+ * or the initial memberships themselves: an array with an array of nComponents non-negative numbers for each datapoint,
+ * or for a histogram, a hash from key to such an array, keyed like `counts`.
+ * With every strategy, the weights, means and variances are those of the datapoints assigned to each component.
+ * The initialization is agnostic to the other priors that the options might contain, but honors the constraints.
+ * The elements of the data array can also be censored observations, given as ranges [lower, upper] that contain the unknown value:
+ * [30, Infinity] for a value only known to be at least 30, [-Infinity, 0] for a value at most 0, or [a, b] for a value between a and b.
+ * The expectation-maximization steps then use the moments of the components truncated to these ranges instead of a single point.
+ * The second argument can also be an object with keys `maxIterations`, `logLikelihoodTol`, `nInit`, `report`, `sampleWeights`, `truncation` and `splitMerge`.
+ * If `report` is true, `optimize` returns a convergence report instead of the number of steps.
+ * If `sampleWeights` is defined, it is an array of non-negative weights, one per element of the data array (e.g. survey weights
+ * or deduplicated counts), and each observation counts in the initialization, the model updates and the log-likelihood as much as its weight.
+ * If `truncation` is defined, it is a range [lower, upper] outside of which no sample could be observed: the likelihood is normalized
+ * by the probability of this range, and the model accounts for the expected samples that are missing outside of the range.
+ * If `nInit` is defined, the optimization is run `nInit` times, each time from a new initialization (K-means++ by default),
+ * and the GMM keeps the parameters of the run with the highest final log-likelihood.
+ * If `splitMerge` is true, or an object with keys `candidates` (default 5) and `maxRounds` (default 10), the optimization continues
+ * with split-and-merge EM once it has converged, to escape local optima where two modes share a component while another component
+ * covers a sparse region. Each round proposes to merge the two components with the most similar memberships, and to split
+ * the component whose datapoints are the least gaussian (by their Jarque-Bera statistic), in place of the second merged component.
+ * The EM algorithm is run from each of the `candidates` best proposals in turn, and the first one that improves the log-likelihood
+ * is accepted; the rounds stop when no proposal is accepted. It needs at least 3 components, and no fixed parameters.
+ * The data array can also be a typed array such as a Float64Array, as everywhere an array of numbers is accepted.
+ * For large datasets, the expectation-maximization steps store the memberships in a buffer that is reused across steps.
+ * @param {(Array|Float64Array|Histogram)} data the data array or histogram
+ * @param {(Number|Object)} [maxIterations=200] maximum number of expectation-maximization steps, or an object of options
+ * @param {Number} [logLikelihoodTol=0.0000001] tolerance for the log-likelihood
+ * to determine if we reached the optimum
+ * @return {(Number|Object)} the number of steps to reach the converged solution.
+ * If `report` is true or `nInit` is defined, an object with keys `converged` (false if the optimization stopped because it reached maxIterations),
+ * `iterations`, `logLikelihood`, `history` (the log-likelihood after each step) and `warnings`, an array of objects with keys
+ * `type` ('zeroWeight' or 'collapsedVariance'), `component`, `iteration` and `message`.
+ * If `nInit` is defined, the report is the one of the best run, with an additional key `restarts`, an array with the
+ * `iterations`, `logLikelihood` and `converged` flag of every run.
+ * If `splitMerge` is defined, the report has an additional key `splitMerge`, an array with the `merged` components,
+ * the `split` component and the `logLikelihood` of every accepted proposal, and its `iterations` and `history` include
+ * the steps of the accepted proposals.
+ * @example
+ var gmm = new GMM(2);
+ var result = gmm.optimize([1.2, 1.3, 7.4, 1.4, 7.1, 7.2], {nInit: 5});
+ console.log(result.restarts.length); // >> 5
+ */
+GMM.prototype.optimize = function (data, maxIterations, logLikelihoodTol) {
+  var options = GMM._optimizeOptions(maxIterations, logLikelihoodTol);
+  this._sufficientStatistics = null;
+  var report = options.nInit !== undefined ?
+    this._optimizeRestarts(data, options) :
+    this._optimizeData(data, options.maxIterations, options.logLikelihoodTol, options.sampleWeights, options.truncation);
+  if (options.splitMerge) report = this._splitMerge(data, options, report);
+  return options.report || options.nInit !== undefined ? report : report.iterations;
+};
+
 /** @private
- * Compute the [log-likelihood](https://en.wikipedia.org/wiki/Likelihood_function#Log-likelihood) for the GMM given an array of memberships.
- * @param {Array} memberships the memberships array, matrix of size n * this.nComponents, where n is the size of the data.
- * @return {Number} the log-likelihood
+ * Normalize the arguments of `optimize` to an object of options.
+ * @param {(Number|Object)} [maxIterations] maximum number of expectation-maximization steps, or an object of options
+ * @param {Number} [logLikelihoodTol] tolerance for the log-likelihood
+ * @return {Object} an object with keys `maxIterations` and `logLikelihoodTol`, and the other options if any.
  */
-GMM.prototype._logLikelihoodMemberships = function (memberships) {
-  var l = 0;
-  for (var i = 0, n = memberships.length; i < n; i++) {
-    var p = 0;
-    for (var k = 0; k < this.nComponents; k++) {
-      p += this.weights[k] * memberships[i][k];
-    }
-    if (p === 0) {
-      return -Infinity;
-    } else {
-      l += Math.log(p);
-    }
-  }
-  return l;
+GMM._optimizeOptions = function (maxIterations, logLikelihoodTol) {
+  var options = typeof maxIterations === 'object' && maxIterations !== null ?
+    Object.assign({}, maxIterations) :
+    {maxIterations: maxIterations, logLikelihoodTol: logLikelihoodTol};
+
+  if (options.maxIterations === undefined) options.maxIterations = MAX_ITERATIONS;
+  if (options.logLikelihoodTol === undefined) options.logLikelihoodTol = EPSILON;
+  return options;
 };
 
-/**
- * Compute the optimal GMM components given an array of data.
- * If options has a true flag for `initialize`, the optimization will begin with a K-means++ initialization.
- * This allows to have a data-dependent initialization and should converge quicker and to a better model.
- * The initialization is agnostic to the other priors that the options might contain.
+/** @private
+ * Run the expectation-maximization algorithm on an array or a histogram of data.
  * @param {(Array|Histogram)} data the data array or histogram
  * @param {Number} [maxIterations=200] maximum number of expectation-maximization steps
  * @param {Number} [logLikelihoodTol=0.0000001] tolerance for the log-likelihood
- * to determine if we reached the optimum
- * @return {Number} the number of steps to reach the converged solution
+ * @param {Array} sampleWeights non-negative weights of the samples, for an array of data (optional).
+ * @param {Array} truncation the range [lower, upper] outside of which the samples could not be observed, for an array of data (optional).
+ * @return {Object} the convergence report, see `optimize`.
  */
-GMM.prototype.optimize = function (data, maxIterations, logLikelihoodTol) {
-  if (Array.isArray(data)) return this._optimize(data, maxIterations, logLikelihoodTol);
-  if (Histogram.prototype.isPrototypeOf(data)) return this._optimizeHistogram(data, maxIterations, logLikelihoodTol);
+GMM.prototype._optimizeData = function (data, maxIterations, logLikelihoodTol, sampleWeights, truncation) {
+  if (this.options.noise && !this.options.noise.range && (GMM._isArrayLike(data) || Histogram.prototype.isPrototypeOf(data))) {
+    this.noiseRange = GMM._dataRange(data);
+  }
+  if (GMM._isArrayLike(data)) return this._optimize(data, maxIterations, logLikelihoodTol, sampleWeights, truncation);
+  if (Histogram.prototype.isPrototypeOf(data)) {
+    if (sampleWeights) throw new Error('sampleWeights can only be used with an Array of data.');
+    if (truncation) throw new Error('truncation can only be used with an Array of data.');
+    return this._optimizeHistogram(data, maxIterations, logLikelihoodTol);
+  }
+
+  throw new Error('Data must be an Array of a Histogram.');
+};
+
+/** @private
+ * Run the expectation-maximization algorithm `options.nInit` times from different K-means++ initializations,
+ * and keep the parameters with the highest log-likelihood.
+ * Every run starts from the current weights and variances of the GMM.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @param {Object} options an object with keys `nInit`, `maxIterations`, `logLikelihoodTol` and optionally `sampleWeights` and `truncation`
+ * @return {Object} the convergence report of the best run, with an additional key `restarts`,
+ * an array with the `iterations`, `logLikelihood` and `converged` flag of every run.
+ */
+GMM.prototype._optimizeRestarts = function (data, options) {
+  if (!(options.nInit >= 1 && options.nInit % 1 === 0)) throw new Error('nInit must be a positive integer.');
+
+  var gmmOptions = Object.assign({}, this.options, {initialize: this.options.initialize || true});
+  var restarts = [];
+  var best = null;
+
+  for (var r = 0; r < options.nInit; r++) {
+    var gmm = new GMM(this.nComponents, this.weights.slice(), this.means.slice(), this.vars.slice(), gmmOptions);
+    gmm._random = this._random;
+
+    var report = gmm._optimizeData(data, options.maxIterations, options.logLikelihoodTol, options.sampleWeights, options.truncation);
+    restarts.push({
+      iterations: report.iterations,
+      logLikelihood: report.logLikelihood,
+      converged: report.converged
+    });
+
+    if (best === null || report.logLikelihood > best.report.logLikelihood) best = {gmm: gmm, report: report};
+  }
+
+  this._copyParameters(best.gmm);
+  return Object.assign(best.report, {restarts: restarts});
+};
+
+/** @private
+ * Copy the weights, means and variances of another GMM, and the parameters of its noise component if any.
+ * @param {GMM} gmm the GMM to copy the parameters from
+ */
+GMM.prototype._copyParameters = function (gmm) {
+  this.weights = gmm.weights;
+  this.means = gmm.means;
+  this.vars = gmm.vars;
+  if (this.options.noise) {
+    this.noiseWeight = gmm.noiseWeight;
+    this.noiseRange = gmm.noiseRange;
+  }
+};
+
+/** @private
+ * Continue an optimization with split-and-merge EM, see `optimize`.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @param {Object} options the options of `optimize`, with keys `splitMerge`, `maxIterations`, `logLikelihoodTol`
+ * and optionally `sampleWeights` and `truncation`
+ * @param {Object} report the convergence report of the optimization
+ * @return {Object} the convergence report, with an additional key `splitMerge`.
+ */
+GMM.prototype._splitMerge = function (data, options, report) {
+  var settings = typeof options.splitMerge === 'object' ? options.splitMerge : {};
+  var nCandidates = settings.candidates === undefined ? SPLIT_MERGE_CANDIDATES : settings.candidates;
+  var maxRounds = settings.maxRounds === undefined ? SPLIT_MERGE_ROUNDS : settings.maxRounds;
+  var constraints = this.options.constraints || {};
+  if (constraints.fixedMeans || constraints.fixedVars || constraints.fixedWeights) {
+    throw new Error('splitMerge cannot be used with fixed parameters.');
+  }
+
+  report = Object.assign({}, report, {history: report.history.slice(), splitMerge: []});
+  if (this.nComponents < 3) return report;
+
+  var gmmOptions = Object.assign({}, this.options, {initialize: false});
+  var points = GMM._weightedValues(data, options.sampleWeights);
+  for (var round = 0; round < maxRounds; round++) {
+    var candidates = this._splitMergeCandidates(points.values, points.weights).slice(0, nCandidates);
+    var accepted = null;
+    for (var c = 0; c < candidates.length && !accepted; c++) {
+      var gmm = new GMM(this.nComponents, this.weights.slice(), this.means.slice(), this.vars.slice(), gmmOptions);
+      gmm._random = this._random;
+      if (this.options.noise) gmm.noiseWeight = this.noiseWeight;
+      gmm._mergeAndSplit(candidates[c]);
+
+      var candidateReport = gmm._optimizeData(data, options.maxIterations, options.logLikelihoodTol, options.sampleWeights, options.truncation);
+      if (candidateReport.logLikelihood > report.logLikelihood + options.logLikelihoodTol) accepted = {gmm: gmm, report: candidateReport, proposal: candidates[c]};
+    }
+    if (!accepted) break;
+
+    this._copyParameters(accepted.gmm);
+    report.iterations += accepted.report.iterations;
+    report.history = report.history.concat(accepted.report.history);
+    report.logLikelihood = accepted.report.logLikelihood;
+    report.converged = accepted.report.converged;
+    report.warnings = accepted.report.warnings;
+    report.splitMerge.push({
+      merged: accepted.proposal.merged,
+      split: accepted.proposal.split,
+      logLikelihood: accepted.report.logLikelihood
+    });
+  }
+  return report;
+};
+
+/** @private
+ * Rank the split-and-merge proposals. The pairs of components to merge are ranked by the inner product of their memberships,
+ * and for each pair, the components to split are ranked by the Jarque-Bera statistic of their datapoints,
+ * which is large when the datapoints of a component are skewed or have the wrong kurtosis, for instance when they come from two modes.
+ * @param {Array} values array of numbers
+ * @param {Array} weights the weight of each number
+ * @return {Array} the proposals, objects with keys `merged` (the indices of the two components to merge) and `split` (the index of the
+ * component to split), best first.
+ */
+GMM.prototype._splitMergeCandidates = function (values, weights) {
+  var nComponents = this.nComponents;
+  var logWeights = this.weights.map(Math.log);
+  var gaussians = this._gaussians();
+  var posteriors = values.map(function (x) {
+    var logPosteriors = logWeights.map(function (a, k) { return a + logNormalPdf(x, gaussians[k].mean, gaussians[k].variance); });
+    var logSum = logSumExp(logPosteriors);
+    return logPosteriors.map(function (a) { return Math.exp(a - logSum); });
+  });
+
+  var pairs = [];
+  for (var i = 0; i < nComponents; i++) {
+    for (var j = i + 1; j < nComponents; j++) {
+      var similarity = 0;
+      for (var n = 0; n < values.length; n++) {
+        similarity += weights[n] * posteriors[n][i] * posteriors[n][j];
+      }
+      pairs.push({merged: [i, j], similarity: similarity});
+    }
+  }
+  pairs.sort(function (a, b) { return b.similarity - a.similarity; });
+
+  var misfits = range(nComponents).map(function (k) {
+    return GMM._jarqueBera(values, values.map(function (x, n) { return weights[n] * posteriors[n][k]; }));
+  });
+  var splits = range(nComponents).sort(function (a, b) { return misfits[b] - misfits[a]; });
+
+  var candidates = [];
+  pairs.forEach(function (pair) {
+    splits.forEach(function (k) {
+      if (pair.merged.indexOf(k) === -1) candidates.push({merged: pair.merged, split: k});
+    });
+  });
+  return candidates;
+};
+
+/** @private
+ * Apply a split-and-merge proposal in place: the two merged components are replaced by a single component with the same weight,
+ * mean and variance as both, in the place of the first one, and the split component is replaced by two components with
+ * half of its weight, on each side of its mean, with the same mean and variance as the split component, in its place and
+ * in the place of the second merged component.
+ * @param {Object} proposal an object with keys `merged` and `split`, see `_splitMergeCandidates`
+ */
+GMM.prototype._mergeAndSplit = function (proposal) {
+  var i = proposal.merged[0];
+  var j = proposal.merged[1];
+  var k = proposal.split;
+
+  var weight = this.weights[i] + this.weights[j];
+  var mean = (this.weights[i] * this.means[i] + this.weights[j] * this.means[j]) / weight;
+  var secondMoment = (this.weights[i] * (this.vars[i] + this.means[i] * this.means[i]) +
+    this.weights[j] * (this.vars[j] + this.means[j] * this.means[j])) / weight;
+  this.weights[i] = weight;
+  this.means[i] = mean;
+  this.vars[i] = Math.max(EPSILON, secondMoment - mean * mean);
+
+  var deviation = Math.sqrt(this.vars[k]);
+  this.weights[k] = this.weights[j] = this.weights[k] / 2;
+  this.means[j] = this.means[k] + deviation / 2;
+  this.means[k] -= deviation / 2;
+  this.vars[k] = this.vars[j] = 0.75 * this.vars[k];
+};
+
+/** @private
+ * Compute the [Jarque-Bera statistic](https://en.wikipedia.org/wiki/Jarque%E2%80%93Bera_test) of weighted values,
+ * a measure of how far their skewness and kurtosis are from those of a gaussian.
+ * @param {Array} values array of numbers
+ * @param {Array} weights the weight of each number
+ * @return {Number} the statistic, 0 if the values have no weight or no spread.
+ */
+GMM._jarqueBera = function (values, weights) {
+  var total = 0;
+  var mean = 0;
+  var i;
+  for (i = 0; i < values.length; i++) {
+    total += weights[i];
+    mean += weights[i] * values[i];
+  }
+  if (!(total > 0)) return 0;
+  mean /= total;
+
+  var moments = [0, 0, 0];
+  for (i = 0; i < values.length; i++) {
+    var d = values[i] - mean;
+    moments[0] += weights[i] * d * d;
+    moments[1] += weights[i] * d * d * d;
+    moments[2] += weights[i] * d * d * d * d;
+  }
+  var variance = moments[0] / total;
+  if (!(variance > EPSILON)) return 0;
+  var skewness = moments[1] / total / Math.pow(variance, 1.5);
+  var kurtosis = moments[2] / total / (variance * variance);
+  return total * (skewness * skewness / 6 + (kurtosis - 3) * (kurtosis - 3) / 24);
+};
 
-  throw new Error('Data must be an Array of a Histogram.');
+/** @private
+ * Return the representative values of an array or a histogram of data, and their weights.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @param {Array} sampleWeights non-negative weights of the samples, for an array of data (optional).
+ * @return {Object} an object with keys `values` and `weights`.
+ */
+GMM._weightedValues = function (data, sampleWeights) {
+  if (Histogram.prototype.isPrototypeOf(data)) {
+    var keys = Object.keys(data.counts);
+    return {
+      values: keys.map(function (key) { return data.value(key); }),
+      weights: keys.map(function (key) { return data.counts[key]; })
+    };
+  }
+  return {
+    values: data.map(GMM._observationValue),
+    weights: sampleWeights || data.map(function () { return 1; })
+  };
 };
 
 /** @private
  * Compute the optimal GMM components given an array of data.
- * If options has a true flag for `initialize`, the optimization will begin with a K-means++ initialization.
- * This allows to have a data-dependent initialization and should converge quicker and to a better model.
- * The initialization is agnostic to the other priors that the options might contain.
- * @param {Array} data array of numbers representing the samples to use to optimize the model
+ * If options define `initialize`, the optimization will begin with a data-dependent initialization, see `optimize`.
+ * @param {Array} data array of numbers representing the samples to use to optimize the model, or censored observations [lower, upper]
  * @param {Number} [maxIterations=200] maximum number of expectation-maximization steps
  * @param {Number} [logLikelihoodTol=0.0000001] tolerance for the log-likelihood
  * to determine if we reached the optimum
- * @return {Number} the number of steps to reach the converged solution
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @param {Array} truncation the range [lower, upper] outside of which the samples could not be observed (optional).
+ * @return {Object} the convergence report, see `optimize`.
  * @example
  var gmm = new GMM(3, undefined, [1, 5, 10], [1, 1, 1], {initialize: true});
  var data = [1.2, 1.3, 7.4, 1.4, 14.3, 15.3, 1.0, 7.2];
  gmm.optimize(data); // updates weights, means and variances with the EM algorithm given the data.
  console.log(gmm.means); // >> [1.225, 7.3, 14.8]
  */
-GMM.prototype._optimize = function (data, maxIterations, logLikelihoodTol) {
-  if (this.options.initialize) this._initialize(data);
+GMM.prototype._optimize = function (data, maxIterations, logLikelihoodTol, sampleWeights, truncation) {
+  GMM._checkSampleWeights(data, sampleWeights);
+  data = GMM._censor(data, truncation);
+  if (this.options.initialize) this._initializeModel(data.map(GMM._observationValue), sampleWeights);
+
+  // Without censored observations, the steps run on typed arrays, and the memberships buffer is reused across steps.
+  if (!data.some(Array.isArray)) data = new Float64Array(data);
+  if (sampleWeights && !(sampleWeights instanceof Float64Array)) sampleWeights = new Float64Array(sampleWeights);
 
   maxIterations = maxIterations === undefined ? MAX_ITERATIONS : maxIterations;
   logLikelihoodTol = logLikelihoodTol === undefined ? EPSILON : logLikelihoodTol;
   var logLikelihoodDiff = Infinity;
   var logLikelihood = -Infinity;
   var temp;
-  var memberships;
+  var expectation = null;
+  var history = [];
+  var warnings = [];
   for (var i = 0; i < maxIterations && logLikelihoodDiff > logLikelihoodTol; i++) {
-    this._updateModel(data, memberships);
-    memberships = this.memberships(data);
-    temp = this._logLikelihoodMemberships(memberships);
+    this._updateModel(data, expectation && expectation.memberships, sampleWeights, truncation);
+    this._checkComponents(i, warnings);
+    expectation = this._expectation(data, expectation && expectation.memberships, sampleWeights, truncation);
+    temp = expectation.logLikelihood;
+    history.push(temp);
     logLikelihoodDiff = Math.abs(logLikelihood - temp);
     logLikelihood = temp;
   }
-  return i;
+  return GMM._report(i, logLikelihoodDiff <= logLikelihoodTol, history, warnings);
 };
 
 /** @private
@@ -388,7 +1814,7 @@ GMM.prototype._optimize = function (data, maxIterations, logLikelihoodTol) {
  * @param {Number} [maxIterations=200] maximum number of expectation-maximization steps
  * @param {Number} [logLikelihoodTol=0.0000001] tolerance for the log-likelihood
  * to determine if we reached the optimum
- * @return {Number} the number of steps to reach the converged solution
+ * @return {Object} the convergence report, see `optimize`.
  * @example
  var gmm = new GMM(3, undefined, [1, 5, 10], [1, 1, 1]);
  var h = Histogram.fromData([1.2, 1.3, 7.4, 1.4, 14.3, 15.3, 1.0, 7.2]);
@@ -396,20 +1822,77 @@ GMM.prototype._optimize = function (data, maxIterations, logLikelihoodTol) {
  console.log(gmm.means); // >> [1.225, 7.3, 14.8]
  */
 GMM.prototype._optimizeHistogram = function (h, maxIterations, logLikelihoodTol) {
-  if (this.options.initialize) this._initializeHistogram(h);
+  if (this.options.initialize) this._initializeModelHistogram(h);
 
   maxIterations = maxIterations === undefined ? MAX_ITERATIONS : maxIterations;
   logLikelihoodTol = logLikelihoodTol === undefined ? EPSILON : logLikelihoodTol;
   var logLikelihoodDiff = Infinity;
   var logLikelihood = -Infinity;
   var temp;
+  var expectation = this._expectationHistogram(h);
+  var history = [];
+  var warnings = [];
   for (var i = 0; i < maxIterations && logLikelihoodDiff > logLikelihoodTol; i++) {
-    this._updateModelHistogram(h);
-    temp = this._logLikelihoodHistogram(h);
+    this._updateModelHistogram(h, expectation.memberships, expectation.binned);
+    this._checkComponents(i, warnings);
+    expectation = this._expectationHistogram(h, expectation.memberships);
+    temp = expectation.logLikelihood;
+    history.push(temp);
     logLikelihoodDiff = Math.abs(logLikelihood - temp);
     logLikelihood = temp;
   }
-  return i;
+  return GMM._report(i, logLikelihoodDiff <= logLikelihoodTol, history, warnings);
+};
+
+/** @private
+ * Return a representative value of an observation, used for the initialization.
+ * @param {(Number|Array)} x a number or a censored observation [lower, upper]
+ * @return {Number} the number itself, or for a censored observation the middle of its range, or its finite bound.
+ */
+GMM._observationValue = function (x) {
+  if (!Array.isArray(x)) return x;
+  if (!isFinite(x[0])) return x[1];
+  if (!isFinite(x[1])) return x[0];
+  return (x[0] + x[1]) / 2;
+};
+
+/** @private
+ * Build the convergence report of an optimization.
+ * @param {Number} iterations the number of expectation-maximization steps
+ * @param {Boolean} converged false if the optimization stopped because it reached maxIterations
+ * @param {Array} history the log-likelihood after each step
+ * @param {Array} warnings the warnings raised during the optimization
+ * @return {Object} the convergence report, see `optimize`.
+ */
+GMM._report = function (iterations, converged, history, warnings) {
+  return {
+    converged: converged,
+    iterations: iterations,
+    logLikelihood: history.length ? history[history.length - 1] : -Infinity,
+    history: history,
+    warnings: warnings
+  };
+};
+
+/** @private
+ * Check for degenerate components after an expectation-maximization step, and add a warning
+ * the first time a component weight goes to zero or a component variance collapses to EPSILON.
+ * @param {Number} iteration the index of the step
+ * @param {Array} warnings the warnings raised so far, updated in place
+ */
+GMM.prototype._checkComponents = function (iteration, warnings) {
+  var warn = function (type, component, message) {
+    var raised = warnings.some(function (w) { return w.type === type && w.component === component; });
+    if (!raised) warnings.push({type: type, component: component, iteration: iteration, message: message});
+  };
+
+  for (var k = 0; k < this.nComponents; k++) {
+    if (!(this.weights[k] > EPSILON)) {
+      warn('zeroWeight', k, 'The weight of component ' + k + ' went to zero.');
+    } else if (this.vars[k] < 2 * EPSILON) {
+      warn('collapsedVariance', k, 'The variance of component ' + k + ' collapsed to EPSILON.');
+    }
+  }
 };
 
 
@@ -417,55 +1900,18 @@ GMM.prototype._optimizeHistogram = function (h, maxIterations, logLikelihoodTol)
  * Initialize the GMM given data with the [K-means++](https://en.wikipedia.org/wiki/K-means%2B%2B) initialization algorithm.
  * The k-means++ algorithm choses datapoints amongst the data at random, while ensuring that the chosen seeds are far from each other.
  * The resulting seeds are returned sorted.
+ * If sample weights are given, the datapoints are chosen with probabilities proportional to their weights.
  * @param {Array} data array of numbers representing the samples to use to optimize the model
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
  * @return {Array} an array of length nComponents that contains the means for the initialization.
  * @example
  var gmm = new GMM(3, [0.3, .04, 0.3], [1, 5, 10]);
  var data = [1.2, 1.3, 7.4, 1.4, 14.3, 15.3, 1.0, 7.2];
  gmm.initialize(data); // updates the means of the GMM with the K-means++ initialization algorithm, returns something like [1.3, 7.4, 14.3]
  */
-GMM.prototype._initialize = function (data) {
-  var n = data.length;
-
-  if (n < this.nComponents) throw new Error('Data must have more points than the number of components in the model.');
-
-  var means = [];
-
-  // Find the first seed at random
-  means.push(data[Math.round(Math.random() * (n - 1))]);
-
-  var distances = [];
-
-  // Chose all other seeds
-  for (var m = 1; m < this.nComponents; m++) {
-    // Compute the distance from each datapoint
-    var dsum = 0;
-    for (var i = 0; i < n; i++) {
-      var meansDistances = means.map(function (x) { return (x - data[i]) * (x - data[i]); });
-      var d = meansDistances.reduce(function (a, b) { return Math.min(a, b); });
-      distances[i] = d;
-      dsum += d;
-    }
-
-    // Chose the next seed at random with probabilities d / dsum
-    var r = Math.random();
-    var c;
-    for (var j = 0; j < n; j++) {
-      var p = (distances[j] / dsum) || 0;
-      if (p > r || j === (n - 1)) {
-        c = data[j];
-        break;
-      } else {
-        r -= p;
-      }
-    }
-
-    means.push(c);
-  }
-
-  means.sort(function (a, b) { return a - b; });
-  this.means = means;
-  return means;
+GMM.prototype._initialize = function (data, sampleWeights) {
+  this.means = kMeansPlusPlus(data, this.nComponents, this._random, sampleWeights);
+  return this.means;
 };
 
 /** @private
@@ -488,7 +1934,7 @@ GMM.prototype._initializeHistogram = function (h) {
   var means = [];
 
   // Find the first seed at random
-  var r = Math.random();
+  var r = this._random();
 
   for (let i = 0; i < keys.length; i++) {
     let k = keys[i];
@@ -517,7 +1963,7 @@ GMM.prototype._initializeHistogram = function (h) {
     }
 
     // Chose the next seed at random with probabilities d / dsum
-    let r = Math.random();
+    let r = this._random();
 
     for (let i = 0; i < keys.length; i++) {
       let k = keys[i];
@@ -536,6 +1982,185 @@ GMM.prototype._initializeHistogram = function (h) {
   return means;
 };
 
+/** @private
+ * Initialize the weights, means and variances of the GMM given data, with the strategy of `options.initialize` (see `optimize`).
+ * @param {Array} data array of numbers representing the samples to use to optimize the model
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @return {Array} the memberships used for the initialization.
+ */
+GMM.prototype._initializeModel = function (data, sampleWeights) {
+  var memberships = this._initialMemberships(data, sampleWeights, this.options.initialize, this._initialize.bind(this, data, sampleWeights));
+  this._initializeFromMemberships(data, memberships, sampleWeights);
+  return memberships;
+};
+
+/** @private
+ * Initialize the weights, means and variances of the GMM given a histogram, with the strategy of `options.initialize` (see `optimize`).
+ * @param {Histogram} h histogram of data used to optimize the model
+ * @return {Array} the memberships used for the initialization, in the order of the keys of `counts`.
+ */
+GMM.prototype._initializeModelHistogram = function (h) {
+  var keys = Object.keys(h.counts);
+  var values = keys.map(function (key) { return h.value(key); });
+  var counts = keys.map(function (key) { return h.counts[key]; });
+  var strategy = this.options.initialize;
+  if (typeof strategy === 'object' && !Array.isArray(strategy)) strategy = keys.map(function (key) { return strategy[key]; });
+
+  var memberships = this._initialMemberships(values, counts, strategy, this._initializeHistogram.bind(this, h));
+  this._initializeFromMemberships(values, memberships, counts);
+  return memberships;
+};
+
+/** @private
+ * Compute the initial memberships of each datapoint given an initialization strategy.
+ * @param {Array} data array of numbers representing the samples to use to optimize the model
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @param {(Boolean|String|Array)} strategy the initialization strategy, or the initial memberships
+ * @param {Function} seeding a function that returns the K-means++ seeds
+ * @return {Array} (data.length * this.nComponents) matrix with the initial memberships
+ */
+GMM.prototype._initialMemberships = function (data, sampleWeights, strategy, seeding) {
+  var nComponents = this.nComponents;
+  if (Array.isArray(strategy)) {
+    if (strategy.length !== data.length || !strategy.every(function (m) {
+      return Array.isArray(m) && m.length === nComponents && m.every(function (a) { return a >= 0 && isFinite(a); });
+    })) {
+      throw new Error('The initial memberships must have an array of nComponents non-negative numbers for each datapoint.');
+    }
+    return strategy;
+  }
+
+  var total = sampleWeights ? sampleWeights.reduce(function (a, b) { return a + b; }, 0) : data.length;
+  if (total < nComponents) throw new Error('Data must have more points than the number of components in the model.');
+
+  var random = this._random;
+  var seeds;
+  switch (strategy) {
+  case true:
+  case 'kmeans++':
+    seeds = seeding();
+    break;
+  case 'kmeans':
+    seeds = GMM._kMeans(data, sampleWeights, seeding());
+    break;
+  case 'quantile':
+    seeds = GMM._quantiles(data, sampleWeights, range(nComponents).map(function (k) { return (k + 0.5) / nComponents; }));
+    break;
+  case 'random':
+    return data.map(function () { return range(nComponents).map(function () { return 1 - random(); }); });
+  default:
+    throw new Error('Unknown initialization strategy: ' + strategy + '.');
+  }
+
+  return closestSeeds(data, seeds).map(function (s) {
+    return range(nComponents).map(function (k) { return k === s ? 1 : 0; });
+  });
+};
+
+/** @private
+ * Set the weights, means and variances of the GMM to those of the datapoints weighted by their memberships.
+ * A component without datapoints gets a tiny weight and the mean of the data, and a component whose datapoints
+ * have no spread gets the variance of the data. The constraints are applied to the result.
+ * @param {Array} data array of numbers representing the samples to use to optimize the model
+ * @param {Array} memberships (data.length * this.nComponents) matrix of non-negative memberships, not necessarily normalized
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ */
+GMM.prototype._initializeFromMemberships = function (data, memberships, sampleWeights) {
+  var previous = this._parameters();
+  var counts = range(this.nComponents).map(function () { return 0; });
+  var sums = counts.slice();
+  var squares = counts.slice();
+  var total = 0;
+  var sum = 0;
+  var square = 0;
+  var k;
+  for (var i = 0, n = data.length; i < n; i++) {
+    var w = sampleWeights ? sampleWeights[i] : 1;
+    var rowSum = memberships[i].reduce(function (a, b) { return a + b; }, 0);
+    if (!(w > 0) || !(rowSum > 0)) continue;
+    for (k = 0; k < this.nComponents; k++) {
+      var m = w * memberships[i][k] / rowSum;
+      counts[k] += m;
+      sums[k] += m * data[i];
+      squares[k] += m * data[i] * data[i];
+    }
+    total += w;
+    sum += w * data[i];
+    square += w * data[i] * data[i];
+  }
+  if (!(total > 0)) throw new Error('The initial memberships must have a positive sum for some datapoint.');
+
+  var mean = sum / total;
+  var variance = Math.max(EPSILON, square / total - mean * mean);
+  var weights = counts.map(function (c) { return Math.max(c / total, EPSILON); });
+  var weightsSum = weights.reduce(function (a, b) { return a + b; }, 0);
+  this.weights = weights.map(function (a) { return a / weightsSum; });
+  for (k = 0; k < this.nComponents; k++) {
+    this.means[k] = counts[k] > 0 ? sums[k] / counts[k] : mean;
+    var componentVariance = counts[k] > 0 ? squares[k] / counts[k] - this.means[k] * this.means[k] : 0;
+    this.vars[k] = componentVariance > EPSILON ? componentVariance : variance;
+  }
+  this._applyMeanConstraints(previous.means);
+  this._applyConstraints(previous, counts);
+};
+
+/** @private
+ * Refine seeds with Lloyd's algorithm: assign each datapoint to its closest seed, move each seed to the mean of its datapoints,
+ * and repeat until the assignments do not change anymore.
+ * @param {Array} data array of numbers
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @param {Array} seeds the initial seeds
+ * @return {Array} the refined seeds, sorted.
+ */
+GMM._kMeans = function (data, sampleWeights, seeds) {
+  var means = seeds.slice();
+  var assignments = closestSeeds(data, means);
+  for (var iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    var counts = means.map(function () { return 0; });
+    var sums = counts.slice();
+    for (var i = 0, n = data.length; i < n; i++) {
+      var w = sampleWeights ? sampleWeights[i] : 1;
+      counts[assignments[i]] += w;
+      sums[assignments[i]] += w * data[i];
+    }
+    for (var k = 0; k < means.length; k++) {
+      if (counts[k] > 0) means[k] = sums[k] / counts[k];
+    }
+
+    var next = closestSeeds(data, means);
+    var changed = next.some(function (a, j) { return a !== assignments[j]; });
+    assignments = next;
+    if (!changed) break;
+  }
+  return means.sort(function (a, b) { return a - b; });
+};
+
+/** @private
+ * Compute weighted quantiles of data.
+ * @param {Array} data array of numbers
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @param {Array} levels the levels of the quantiles, in [0, 1] and sorted
+ * @return {Array} the quantiles, the first datapoints whose cumulated weight reaches each level of the total weight.
+ */
+GMM._quantiles = function (data, sampleWeights, levels) {
+  var weight = sampleWeights ? function (i) { return sampleWeights[i]; } : function () { return 1; };
+  var order = data.map(function (x, i) { return i; }).filter(function (i) { return weight(i) > 0; });
+  order.sort(function (i, j) { return data[i] - data[j]; });
+  var total = order.reduce(function (a, i) { return a + weight(i); }, 0);
+
+  var quantiles = [];
+  var cumulated = 0;
+  var j = 0;
+  levels.forEach(function (level) {
+    while (j < order.length - 1 && cumulated + weight(order[j]) < level * total) {
+      cumulated += weight(order[j]);
+      j++;
+    }
+    quantiles.push(data[order[j]]);
+  });
+  return quantiles;
+};
+
 /** @private
  * Compute the barycenter given an array and weights.
  * @param {Array} array the array of values to find the barycenter from
@@ -557,12 +2182,17 @@ GMM._barycenter = function (array, weights) {
  * @return {Object} the model, with keys `nComponents`, `weights`, `means`, `vars`.
  */
 GMM.prototype.model = function () {
-  return {
+  var model = {
     nComponents: this.nComponents,
     weights: this.weights,
     means: this.means,
     vars: this.vars
   };
+  if (this.options.noise) {
+    model.noiseWeight = this.noiseWeight;
+    model.noiseRange = this.noiseRange;
+  }
+  return model;
 };
 
 /**
@@ -576,6 +2206,9 @@ GMM.prototype.model = function () {
   });
  */
 GMM.fromModel = function (model, options) {
+  if (model.noiseWeight !== undefined) {
+    options = Object.assign({}, options, {noise: {weight: model.noiseWeight, range: model.noiseRange}});
+  }
   return new GMM(
     model.nComponents,
     model.weights,
@@ -585,14 +2218,111 @@ GMM.fromModel = function (model, options) {
   );
 };
 
+/**
+ * Fit GMMs for a range of numbers of components and select the best one with an information criterion.
+ * Each candidate is initialized with the `initialize` strategy of the options (K-means++ by default) and optimized with the EM algorithm.
+ * The criteria are computed from the log-likelihood L, the number of free parameters p = 3 * nComponents - 1 and the number of observations n:
+ * `bic` is -2L + p log(n), `aic` is -2L + 2p and `icl` is the BIC plus twice the entropy of the memberships. Lower is better.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @param {Object} [options={}] an object that can define `minComponents` (default 1), `maxComponents` (default 5),
+ * `criterion` ('bic', 'aic' or 'icl', default 'bic'), and the `maxIterations`, `logLikelihoodTol`, `nInit`, `sampleWeights` and `truncation` options of `optimize`.
+ * With sample weights, n is the sum of the weights.
+ * The options are also passed to each candidate GMM, so that the priors apply to every candidate.
+ * @return {Object} an object with keys `gmm` (the selected GMM), `criterion` and `scores`, an array that contains
+ * the `nComponents`, `nParameters`, `logLikelihood`, `bic`, `aic` and `icl` of every candidate.
+ * @example var result = GMM.select([1.2, 1.3, 7.4, 1.4, 14.3, 15.3, 1.0, 7.2], {maxComponents: 4});
+ console.log(result.gmm.nComponents); // >> 3
+ */
+GMM.select = function (data, options) {
+  options = options === undefined ? {} : options;
+  var minComponents = options.minComponents === undefined ? 1 : options.minComponents;
+  var maxComponents = options.maxComponents === undefined ? 5 : options.maxComponents;
+  var criterion = options.criterion === undefined ? 'bic' : options.criterion;
+
+  if (['bic', 'aic', 'icl'].indexOf(criterion) === -1) throw new Error('criterion must be one of \'bic\', \'aic\' or \'icl\'.');
+  if (minComponents < 1 || minComponents > maxComponents) throw new Error('minComponents must be between 1 and maxComponents.');
+
+  var isHistogram = Histogram.prototype.isPrototypeOf(data);
+  if (!isHistogram && !GMM._isArrayLike(data)) throw new Error('Data must be an Array of a Histogram.');
+  var sampleWeights = options.sampleWeights;
+  var n;
+  if (isHistogram) n = data.total;
+  else if (sampleWeights) n = sampleWeights.reduce(function (a, b) { return a + b; }, 0);
+  else n = data.length;
+
+  var gmmOptions = Object.assign({}, options, {initialize: options.initialize || true});
+  var scores = [];
+  var best = null;
+
+  for (var k = minComponents; k <= maxComponents; k++) {
+    var gmm = new GMM(k, undefined, undefined, undefined, gmmOptions);
+    gmm.optimize(data, {
+      maxIterations: options.maxIterations,
+      logLikelihoodTol: options.logLikelihoodTol,
+      nInit: options.nInit,
+      sampleWeights: sampleWeights,
+      truncation: options.truncation
+    });
+
+    var logLikelihood = gmm.logLikelihood(data, {sampleWeights: sampleWeights, truncation: options.truncation});
+    var nParameters = 3 * k - 1 + (options.noise ? 1 : 0);
+    var bic = -2 * logLikelihood + nParameters * Math.log(n);
+    var score = {
+      nComponents: k,
+      nParameters: nParameters,
+      logLikelihood: logLikelihood,
+      bic: bic,
+      aic: -2 * logLikelihood + 2 * nParameters,
+      icl: bic + 2 * gmm._membershipsEntropy(data, sampleWeights)
+    };
+    scores.push(score);
+
+    if (best === null || score[criterion] < best.score[criterion]) best = {gmm: gmm, score: score};
+  }
+
+  return {
+    gmm: best.gmm,
+    criterion: criterion,
+    scores: scores
+  };
+};
+
+/** @private
+ * Compute the entropy of the memberships of the data, used by the ICL criterion.
+ * @param {(Array|Histogram)} data the data array or histogram
+ * @param {Array} sampleWeights non-negative weights of the samples, for an array of data (optional).
+ * @return {Number} the entropy, i.e. the sum over the observations and components of -m log(m) where m are the memberships.
+ */
+GMM.prototype._membershipsEntropy = function (data, sampleWeights) {
+  var entropy = 0;
+  var add = function (membership, count) {
+    for (var k = 0; k < membership.length; k++) {
+      if (membership[k] > 0) entropy -= count * membership[k] * Math.log(membership[k]);
+    }
+  };
+
+  if (Histogram.prototype.isPrototypeOf(data)) {
+    var memberships = this._membershipsHistogram(data);
+    Object.keys(memberships).forEach(function (key) { add(memberships[key], data.counts[key]); });
+  } else {
+    this.memberships(data).forEach(function (membership, i) { add(membership, sampleWeights ? sampleWeights[i] : 1); });
+  }
+
+  return entropy;
+};
+
 /**
  * Instantiate a new Histogram.
  * @param {Object} [h={}] an object with keys 'counts' and 'bins'. Both are optional.
  * An observation x will be counted for the key i if bins[i][0] <= x < bins[i][1].
  * If bins are not specified, the bins will be corresponding to one unit in the scale of the data.
  * The keys of the 'counts' hash will be stringified integers.
+ * The bins are indexed by their sorted edges when the histogram is constructed, so that each observation is classified with a binary search.
+ * Overlapping bins throw an error, and so do gaps between bins if the object has a true flag for `contiguous`.
+ * The bins should not be mutated afterwards: the other methods keep the index up to date, and a new `bins` object is indexed again.
  * @return {Histogram} a histogram object.
- * It has keys 'bins' (possibly null) and 'counts'.
+ * It has keys 'bins' (possibly null) and 'counts', and `total`, the sum of the counts, derived from `counts`
+ * so that it stays consistent when `counts` is mutated directly. Assigning `total` has no effect.
  * @example var h = new Histogram({counts: {'a': 3, 'b': 2, 'c': 5}, bins: {'a': [0, 2], 'b': [2, 4], 'c': [4, 7]}});
  * @example var h = new Histogram({counts: {'1': 3, '2': 2, '3': 5}});
  * @example var h = new Histogram();
@@ -601,28 +2331,89 @@ function Histogram(h) {
   h = h || {};
   this.bins = h.bins || null;
   this.counts = h.counts || {};
-  this.total = Histogram._total(h);
+  Object.defineProperty(this, '_contiguous', {value: Boolean(h.contiguous), writable: true});
+  Object.defineProperty(this, '_index', {value: null, writable: true});
+  this._binIndex();
 }
 
+Object.defineProperty(Histogram.prototype, 'total', {
+  get: function () { return Histogram._total(this); },
+  // The total used to be a plain field: assignments are ignored rather than throwing in strict mode.
+  set: function () {}
+});
+
+/**
+ * Return the histogram as a raw JavaScript Object, with keys 'bins', 'counts' and 'total', e.g. for `JSON.stringify`.
+ * @return {Object} the histogram as an object
+ */
+Histogram.prototype.toJSON = function () {
+  return {bins: this.bins, counts: this.counts, total: this.total};
+};
+
 /** @private
  * Get the key corresponding to a single element.
  * @param {Array} x observation to classify in the histogram
  * @param {Object} [bins=undefined] a map from key to range (a range being an array of two elements)
  * An observation x will be counted for the key i if `bins[i][0] <= x < bins[i][1]`.
  * If not specified, the bins will be corresponding to one unit in the scale of the data.
+ * @param {Object} [index] the edge index of the bins, see `_indexBins` (built from the bins if not specified)
  * @return {String} the key to add the observation in the histogram
  */
-Histogram._classify = function (x, bins) {
+Histogram._classify = function (x, bins, index) {
   if (bins === null || bins === undefined) return Math.round(x).toString();
+  index = index || Histogram._indexBins(bins);
+
+  // Find the last bin whose lower edge is at most x.
+  var lowers = index.lowers;
+  var low = 0;
+  var high = lowers.length - 1;
+  if (!(lowers[0] <= x)) return null;
+  while (low < high) {
+    var middle = (low + high + 1) >> 1;
+    if (lowers[middle] <= x) low = middle;
+    else high = middle - 1;
+  }
+
+  return x < index.uppers[low] ? index.keys[low] : null;
+};
 
+/** @private
+ * Index bins by their sorted edges, and check that they do not overlap.
+ * @param {Object} bins a map from key to range (a range being an array of two elements)
+ * @param {Boolean} [contiguous=false] true to also check that there is no gap between the bins
+ * @return {Object} the index, with keys `bins`, and `keys`, `lowers` and `uppers` sorted by lower edge.
+ */
+Histogram._indexBins = function (bins, contiguous) {
   var keys = Object.keys(bins);
+  keys.forEach(function (key) {
+    var bounds = bins[key];
+    if (!Array.isArray(bounds) || !(bounds[0] < bounds[1])) throw new Error('Invalid bin ' + key + ': it must be a range [lower, upper] with lower < upper.');
+  });
+  keys.sort(function (a, b) { return bins[a][0] - bins[b][0]; });
 
-  for (var i = 0, n = keys.length; i < n; i++) {
+  for (var i = 1, n = keys.length; i < n; i++) {
+    var previous = bins[keys[i - 1]];
     var bounds = bins[keys[i]];
-    if (bounds[0] <= x && x < bounds[1]) return keys[i];
+    if (bounds[0] < previous[1]) throw new Error('Overlapping bins: ' + keys[i - 1] + ' and ' + keys[i] + '.');
+    if (contiguous && bounds[0] > previous[1]) throw new Error('Gap between the bins ' + keys[i - 1] + ' and ' + keys[i] + '.');
   }
 
-  return null;
+  return {
+    bins: bins,
+    keys: keys,
+    lowers: keys.map(function (key) { return bins[key][0]; }),
+    uppers: keys.map(function (key) { return bins[key][1]; })
+  };
+};
+
+/** @private
+ * Return the edge index of the bins of the histogram, and index them again if the `bins` object was replaced.
+ * @return {Object} the index (see `_indexBins`), or null for a histogram without bins.
+ */
+Histogram.prototype._binIndex = function () {
+  if (!this.bins) return null;
+  if (!this._index || this._index.bins !== this.bins) this._index = Histogram._indexBins(this.bins, this._contiguous);
+  return this._index;
 };
 
 /** @private
@@ -642,17 +2433,178 @@ Histogram._total = function (h) {
  * @return {Histogram} the histogram with added value.
  */
 Histogram.prototype.add = function (x) {
-  var c = Histogram._classify(x, this.bins);
+  var c = Histogram._classify(x, this.bins, this._binIndex());
   if (c !== null) {
     if (!this.counts[c]) this.counts[c] = 1;
     else this.counts[c] += 1;
+  }
+
+  return this;
+};
+
+/**
+ * Add many observations to an histogram at once.
+ * Observations that do not correspond to any bin will be discarded.
+ * @param {(Array|TypedArray)} data an array or a typed array (e.g. a Float64Array) of observations
+ * @return {Histogram} the histogram with added values.
+ */
+Histogram.prototype.addMany = function (data) {
+  var bins = this.bins;
+  var index = this._binIndex();
+  var counts = this.counts;
+  for (var i = 0, n = data.length; i < n; i++) {
+    var c = Histogram._classify(data[i], bins, index);
+    if (c !== null) counts[c] = (counts[c] || 0) + 1;
+  }
+
+  return this;
+};
+
+/**
+ * Add the counts of another histogram to the histogram, e.g. to aggregate histograms from several sources.
+ * Both histograms must be without bins, or have the same bounds for the keys they share;
+ * the bins of the other histogram that the histogram does not have are added to it.
+ * @param {Histogram} other the histogram to add
+ * @return {Histogram} the histogram with added counts.
+ */
+Histogram.prototype.merge = function (other) {
+  this._checkCompatible(other);
+  var keys = Object.keys(other.counts);
+  var bins = this.bins ? Histogram._copyBins(this.bins) : null;
+  for (var i = 0, n = keys.length; i < n; i++) {
+    if (bins && !bins[keys[i]]) bins[keys[i]] = other.bins[keys[i]].slice();
+  }
+  if (bins) {
+    // Check the new bins before changing the histogram.
+    this._index = Histogram._indexBins(bins, this._contiguous);
+    this.bins = bins;
+  }
 
-    this.total += 1;
+  for (i = 0; i < keys.length; i++) {
+    this.counts[keys[i]] = (this.counts[keys[i]] || 0) + other.counts[keys[i]];
   }
+  return this;
+};
+
+/**
+ * Subtract the counts of another histogram from the histogram, e.g. to remove an expired time window.
+ * Both histograms must be without bins, or have the same bounds for the keys they share,
+ * and the counts of the other histogram can not be greater than the counts of the histogram.
+ * @param {Histogram} other the histogram to subtract
+ * @return {Histogram} the histogram with subtracted counts.
+ */
+Histogram.prototype.subtract = function (other) {
+  this._checkCompatible(other);
+  var keys = Object.keys(other.counts);
+  var i;
+  for (i = 0; i < keys.length; i++) {
+    if (other.counts[keys[i]] > (this.counts[keys[i]] || 0)) throw new Error('Cannot subtract more than the count of a bin.');
+  }
+  for (i = 0; i < keys.length; i++) {
+    if (other.counts[keys[i]] > 0) this.counts[keys[i]] -= other.counts[keys[i]];
+  }
+  return this;
+};
 
+/**
+ * Multiply the counts of the histogram by a factor, e.g. to decay old observations.
+ * @param {Number} factor a non-negative number
+ * @return {Histogram} the histogram with scaled counts.
+ */
+Histogram.prototype.scale = function (factor) {
+  if (!(factor >= 0 && isFinite(factor))) throw new Error('The scale factor must be a non-negative number.');
+  var keys = Object.keys(this.counts);
+  for (var i = 0, n = keys.length; i < n; i++) {
+    this.counts[keys[i]] *= factor;
+  }
   return this;
 };
 
+/**
+ * Instantiate a new histogram with other bins, where the count of each bin of the histogram is distributed to the new bins
+ * proportionally to the length of their overlap with it. The counts that fall outside of the new bins are discarded.
+ * A bin of infinite length can only go to a new bin that contains it.
+ * @param {Object} bins a map from key to range (a range being an array of two elements)
+ * @return {Histogram} the new histogram
+ * @example var h = new Histogram({counts: {'1': 4, '2': 2}}).rebin({A: [0, 2], B: [2, 4]});
+ // {bins: {A: [0, 2], B: [2, 4]}, counts: {A: 5, B: 1}}
+ */
+Histogram.prototype.rebin = function (bins) {
+  if (!bins || typeof bins !== 'object') throw new Error('bins must be a map from key to range.');
+  var h = new Histogram({bins: Histogram._copyBins(bins), counts: {}});
+  var newKeys = Object.keys(bins);
+  var keys = Object.keys(this.counts);
+
+  for (var i = 0, n = keys.length; i < n; i++) {
+    var count = this.counts[keys[i]];
+    if (!count) continue;
+    var bounds = this.bounds(keys[i]);
+    var width = bounds[1] - bounds[0];
+
+    for (var j = 0; j < newKeys.length; j++) {
+      var newBounds = bins[newKeys[j]];
+      var overlap = Math.min(bounds[1], newBounds[1]) - Math.max(bounds[0], newBounds[0]);
+      if (!(overlap > 0)) continue;
+
+      var fraction;
+      if (isFinite(width)) fraction = overlap / width;
+      else if (newBounds[0] <= bounds[0] && bounds[1] <= newBounds[1]) fraction = 1;
+      else throw new Error('Cannot rebin a bin of infinite length.');
+      h.counts[newKeys[j]] = (h.counts[newKeys[j]] || 0) + count * fraction;
+    }
+  }
+  return h;
+};
+
+/**
+ * Instantiate a new histogram with the bins of the histogram whose value (see `value`) is in the range [min, max).
+ * @param {Number} min the lower bound of the range
+ * @param {Number} max the upper bound of the range
+ * @return {Histogram} the new histogram
+ */
+Histogram.prototype.slice = function (min, max) {
+  var bins = this.bins ? {} : null;
+  var counts = {};
+  var keys = Object.keys(this.counts);
+  for (var i = 0, n = keys.length; i < n; i++) {
+    var value = this.value(keys[i]);
+    if (value < min || value >= max) continue;
+    if (bins) bins[keys[i]] = this.bins[keys[i]].slice();
+    counts[keys[i]] = this.counts[keys[i]];
+  }
+  return new Histogram({bins: bins, counts: counts, contiguous: this._contiguous});
+};
+
+/** @private
+ * Check that another histogram can be merged with or subtracted from the histogram.
+ * @param {Histogram} other a histogram
+ */
+Histogram.prototype._checkCompatible = function (other) {
+  if (!Histogram.prototype.isPrototypeOf(other)) throw new Error('other must be a Histogram.');
+  if (!this.bins !== !other.bins) throw new Error('Incompatible bins: only one of the histograms has bins.');
+  if (!this.bins) return;
+
+  var keys = Object.keys(other.counts);
+  for (var i = 0, n = keys.length; i < n; i++) {
+    var key = keys[i];
+    if (!other.bins[key]) throw new Error('No bin for this key.');
+    if (this.bins[key] && (this.bins[key][0] !== other.bins[key][0] || this.bins[key][1] !== other.bins[key][1])) {
+      throw new Error('Incompatible bins: the bounds of the bin ' + key + ' differ.');
+    }
+  }
+};
+
+/** @private
+ * Copy a map from key to range.
+ * @param {Object} bins a map from key to range
+ * @return {Object} the copy
+ */
+Histogram._copyBins = function (bins) {
+  var copy = {};
+  Object.keys(bins).forEach(function (key) { copy[key] = bins[key].slice(); });
+  return copy;
+};
+
 /**
  * Return a data array from a histogram.
  * @return {Array} an array of observations derived from the histogram counts.
@@ -681,21 +2633,108 @@ Histogram.prototype.flatten = function () {
  * @param {Object} [bins={}] a map from key to range (a range being an array of two elements)
  * An observation x will be counted for the key i if `bins[i][0] <= x < bins[i][1]`.
  * If not specified, the bins will be corresponding to one unit in the scale of the data.
+ * It can also be an object of options to build the bins from the data, with keys:
+ * `strategy`, 'fd' (Freedman-Diaconis, the default), 'scott' or 'sturges' for uniform bins whose width or number depends on the data,
+ * 'quantile' for bins with about the same number of observations, or 'log' for bins of uniform width on a log scale (for positive data),
+ * `binCount`, the number of bins (by default the one of the Sturges rule for the 'quantile' and 'log' strategies),
+ * `width`, the width of uniform bins, and `origin`, an edge of uniform bins (by default the minimum of the data).
+ * The 'fd' and 'scott' strategies use the Sturges rule instead when outliers would make more bins than observations.
+ * The bins are keyed '0' to 'n - 1' from left to right, and the last bin contains the maximum of the data.
  * @return {Histogram} a histogram object
  * It has keys 'bins' (possibly null) and 'counts'.
  * @example var h = Histogram.fromData([1, 2, 2, 2, 5, 5], {A: [0, 1], B: [1, 5], C: [5, 10]});
  // {bins: {A: [0, 1], B: [1, 5], C: [5, 10]}, counts: {A: 0, B: 4, C: 2}}
  * @example var h = Histogram.fromData([1, 2, 2, 2, 2.4, 2.5, 5, 5]);
  // {counts: {'1': 1, '2': 4, '3': 1, '5': 2}}
+ * @example var h = Histogram.fromData([0.001, 0.0012, 0.0031, 0.0042], {width: 0.001, origin: 0});
+ // {bins: {'0': [0.001, 0.002], '1': [0.002, 0.003], ...}, counts: {'0': 2, '2': 1, '3': 1}}
  */
 Histogram.fromData = function (data, bins) {
-  var h = new Histogram({bins: bins, counts: {}});
+  if (Histogram._isBinOptions(bins)) bins = Histogram._autoBins(data, bins);
+  return new Histogram({bins: bins, counts: {}}).addMany(data);
+};
 
-  for (var i = 0, n = data.length; i < n; i++) {
-    h.add(data[i]);
+/** @private
+ * Tell whether the second argument of `fromData` is an object of options rather than a map from key to range.
+ * @param {Object} bins the second argument of `fromData`
+ * @return {Boolean} true if it is a non-empty object without any range.
+ */
+Histogram._isBinOptions = function (bins) {
+  if (!bins || typeof bins !== 'object') return false;
+  var keys = Object.keys(bins);
+  return keys.length > 0 && keys.every(function (key) { return !Array.isArray(bins[key]); });
+};
+
+/** @private
+ * Build bins from data, see `fromData`.
+ * @param {Array} data array of observations
+ * @param {Object} options an object with keys `strategy`, `binCount`, `width` and `origin`
+ * @return {Object} a map from key to range, with keys '0' to 'n - 1'.
+ */
+Histogram._autoBins = function (data, options) {
+  var values = data.filter(isFinite).sort(function (a, b) { return a - b; });
+  var n = values.length;
+  if (!n) throw new Error('Data must have finite values to build bins.');
+  var min = values[0];
+  var max = values[n - 1];
+  var strategy = options.strategy === undefined ? 'fd' : options.strategy;
+  var binCount = options.binCount;
+  if (binCount !== undefined && !(binCount >= 1 && binCount % 1 === 0)) throw new Error('binCount must be a positive integer.');
+  if (options.width !== undefined && !(options.width > 0 && isFinite(options.width))) throw new Error('width must be a positive number.');
+  var sturges = Math.ceil(Math.log(n) / Math.LN2) + 1;
+  var edges;
+
+  switch (strategy) {
+  case 'quantile':
+    var nQuantiles = binCount || sturges;
+    edges = range(nQuantiles + 1).map(function (i) { return values[Math.min(n - 1, Math.round(i * n / nQuantiles))]; });
+    edges = edges.filter(function (e, i) { return i === 0 || e > edges[i - 1]; });
+    if (edges.length === 1) edges.push(max);
+    break;
+  case 'log':
+    if (!(min > 0)) throw new Error('The log strategy needs positive data.');
+    var count = binCount || sturges;
+    edges = range(count + 1).map(function (i) { return min * Math.pow(max / min, i / count); });
+    edges = edges.filter(function (e, i) { return i === 0 || e > edges[i - 1]; });
+    if (edges.length === 1) edges.push(max);
+    break;
+  case 'fd':
+  case 'scott':
+  case 'sturges':
+    var width = options.width;
+    if (width === undefined && binCount !== undefined) width = (max - min) / binCount;
+    if (width === undefined && strategy === 'fd') {
+      var quartiles = GMM._quantiles(values, null, [0.25, 0.75]);
+      width = 2 * (quartiles[1] - quartiles[0]) / Math.pow(n, 1 / 3);
+      if ((max - min) / width > n) width = undefined;
+    }
+    if (width === undefined && strategy === 'scott') {
+      var mean = values.reduce(function (a, b) { return a + b; }, 0) / n;
+      var variance = values.reduce(function (a, b) { return a + (b - mean) * (b - mean); }, 0) / Math.max(1, n - 1);
+      width = 3.49 * Math.sqrt(variance) / Math.pow(n, 1 / 3);
+      if ((max - min) / width > n) width = undefined;
+    }
+    // The estimated widths fall back to Sturges' rule when outliers would make more bins than observations.
+    if (!(width > 0)) width = (max - min) / sturges;
+    if (!(width > 0)) width = 1;
+
+    var origin = options.origin === undefined ? min : options.origin;
+    var first = origin + Math.floor((min - origin) / width) * width;
+    var nBins = Math.max(1, Math.ceil((max - first) / width));
+    edges = range(nBins + 1).map(function (i) { return first + i * width; });
+    break;
+  default:
+    throw new Error('Unknown binning strategy: ' + strategy + '.');
   }
 
-  return h;
+  // Close the last bin, so that it contains the maximum of the data.
+  if (edges[edges.length - 1] <= max) edges[edges.length - 1] = max + Math.max(Math.abs(max) * Number.EPSILON, Number.MIN_VALUE);
+
+  var bins = {};
+  for (var i = 0; i < edges.length - 1; i++) {
+    bins[i] = [edges[i], edges[i + 1]];
+  }
+  return bins;
 };
 
 /**
@@ -711,10 +2750,116 @@ Histogram.prototype.value = function (key) {
   }
 };
 
-function range(n) {
-  var result = new Array(n);
-  for (var i = 0; i < n; i++) {
-    result[i] = i;
+/**
+ * Return the bounds of the bin for the given key.
+ * Without bins, the key i corresponds to the observations that round to i, i.e. to the bin [i - 0.5, i + 0.5).
+ * @return {Array} the range [lower, upper) of the bin for the provided key.
+ */
+Histogram.prototype.bounds = function (key) {
+  if (this.bins) {
+    if (this.bins[key]) return this.bins[key];
+    else throw new Error('No bin for this key.');
+  } else {
+    return [Number(key) - 0.5, Number(key) + 0.5];
+  }
+};
+
+/** @private
+ * Compute the log of the standard normal upper tail probability P(Z > x), for x >= 0.
+ * Far in the tail, the asymptotic expansion of the Mills ratio is used to avoid underflow.
+ * @param {Number} x a non-negative number
+ * @return {Number} the log of the tail probability
+ */
+function logUpperTail(x) {
+  if (x === Infinity) return -Infinity;
+  if (x < 30) return Math.log(STANDARD_NORMAL.cdf(-x));
+  return -0.5 * x * x - Math.log(x) - 0.5 * Math.log(2 * Math.PI) + Math.log1p(-1 / (x * x));
+}
+
+/** @private
+ * Compute the probability of an interval under a gaussian, and the first two moments of the gaussian truncated to the interval.
+ * @param {Number} mean the mean of the gaussian
+ * @param {Number} variance the variance of the gaussian
+ * @param {Number} lower the lower bound of the interval, possibly -Infinity
+ * @param {Number} upper the upper bound of the interval, possibly Infinity
+ * @return {Object} an object with keys `logProbability`, `mean` (E(x)) and `secondMoment` (E(x^2)) of the truncated gaussian.
+ */
+function truncatedNormal(mean, variance, lower, upper) {
+  var sd = Math.sqrt(variance);
+  var a = (lower - mean) / sd;
+  var b = (upper - mean) / sd;
+
+  // Compute the log-probability with the tail on the side of the interval, to keep the precision far from the mean.
+  var logProbability;
+  if (a >= 0) logProbability = logUpperTail(a) + Math.log1p(-Math.exp(logUpperTail(b) - logUpperTail(a)));
+  else if (b <= 0) logProbability = logUpperTail(-b) + Math.log1p(-Math.exp(logUpperTail(-a) - logUpperTail(-b)));
+  else logProbability = Math.log1p(-Math.exp(logUpperTail(-a)) - Math.exp(logUpperTail(b)));
+
+  if (!(logProbability > -Infinity)) {
+    // The interval is too far from the mean: the truncated gaussian concentrates on its closest bound.
+    var closest = b <= 0 ? upper : lower;
+    return {logProbability: logProbability, mean: closest, secondMoment: closest * closest};
+  }
+
+  var logDensity = function (x) { return -0.5 * x * x - 0.5 * Math.log(2 * Math.PI); };
+  var pa = Math.exp(logDensity(a) - logProbability);
+  var pb = Math.exp(logDensity(b) - logProbability);
+  var ratio = pa - pb;
+  var spread = (isFinite(a) ? a * pa : 0) - (isFinite(b) ? b * pb : 0);
+
+  var truncatedMean = Math.min(upper, Math.max(lower, mean + sd * ratio));
+  var truncatedVariance = Math.max(0, variance * (1 + spread - ratio * ratio));
+  return {
+    logProbability: logProbability,
+    mean: truncatedMean,
+    secondMoment: truncatedVariance + truncatedMean * truncatedMean
+  };
+}
+
+/** @private
+ * Integrate a function with the composite [Simpson's rule](https://en.wikipedia.org/wiki/Simpson%27s_rule).
+ * @param {Function} f the function to integrate
+ * @param {Number} a the lower bound of the integral
+ * @param {Number} b the upper bound of the integral
+ * @param {Number} n the number of intervals, an even number
+ * @return {Number} the integral of f between a and b
+ */
+function simpson(f, a, b, n) {
+  var h = (b - a) / n;
+  var sum = f(a) + f(b);
+  for (var i = 1; i < n; i++) {
+    sum += (i % 2 === 0 ? 2 : 4) * f(a + i * h);
+  }
+  return sum * h / 3;
+}
+
+/** @private
+ * Find the maximum of a unimodal function on an interval with a [golden-section search](https://en.wikipedia.org/wiki/Golden-section_search).
+ * @param {Function} f the function to maximize
+ * @param {Number} a the lower bound of the interval
+ * @param {Number} b the upper bound of the interval
+ * @return {Number} the point where f is maximal
+ */
+function goldenSectionMaximum(f, a, b) {
+  var ratio = (Math.sqrt(5) - 1) / 2;
+  var c = b - ratio * (b - a);
+  var d = a + ratio * (b - a);
+  var fc = f(c);
+  var fd = f(d);
+  for (var i = 0; i < MAX_ITERATIONS && b - a > EPSILON * Math.max(1, Math.abs(a)); i++) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = f(d);
+    }
   }
-  return result;
+  return (a + b) / 2;
 }
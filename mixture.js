@@ -0,0 +1,271 @@
+'use strict';
+
+// Imports
+var utils = require('./utils');
+var families = require('./families');
+var range = utils.range;
+var logSumExp = utils.logSumExp;
+var kMeansPlusPlus = utils.kMeansPlusPlus;
+var closestSeeds = utils.closestSeeds;
+
+// Constants
+var MAX_ITERATIONS = 200;
+var EPSILON = 1e-7;
+
+module.exports = Mixture;
+module.exports.families = families;
+
+/**
+ * Instantiate a new mixture whose components can belong to different families of distributions:
+ * 'gaussian' (`mean`, `variance`), 'studentT' (`location`, `scale`, `degreesOfFreedom`), 'laplace' (`location`, `scale`),
+ * 'logNormal' (`mu`, `sigma`), 'gamma' (`shape`, `scale`) and 'uniform' (`lower`, `upper`), or any family added to `Mixture.families`.
+ * @param {Array} components array of components, each one an object with a `family` key and the parameters of the family
+ * @param {Array} weights array of weights for each component in the mixture, must sum to 1
+ * @param {Object} options an object that can define the `initialize` flag (see `optimize`)
+ * and a `seed` or `random` function used instead of `Math.random` for the initialization and the sampling.
+ * @return {Mixture} a mixture object
+ * @example var mixture = new Mixture([
+   {family: 'gaussian', mean: 0, variance: 1},
+   {family: 'uniform', lower: -100, upper: 100}
+ ], [0.9, 0.1]);
+ * @example var mixture = new Mixture([{family: 'studentT'}, {family: 'studentT'}], undefined, {initialize: true});
+ */
+function Mixture(components, weights, options) {
+  if (!Array.isArray(components) || !components.length) throw new Error('components must be a non-empty Array.');
+  components.forEach(function (c) {
+    if (!families[c.family]) throw new Error('Unknown family: ' + c.family + '.');
+  });
+
+  this.nComponents = components.length;
+  this.components = components;
+  this.weights = weights === undefined ? range(this.nComponents).map(function () { return 1 / components.length; }) : weights;
+  if (this.weights.length !== this.nComponents) throw new Error('weights must have as many elements as the components.');
+
+  this.options = options === undefined ? {} : options;
+  this._random = utils.createRandom(this.options);
+}
+
+/**
+ * Randomly sample from the mixture's distribution.
+ * @param {Number} nSamples desired number of samples
+ * @return {Array} An array of randomly sampled numbers that follow the mixture's distribution
+ */
+Mixture.prototype.sample = function (nSamples) {
+  var samples = [];
+  for (var i = 0; i < nSamples; i++) {
+    var r = this._random();
+    var k = 0;
+    while (k < this.nComponents - 1 && r > this.weights[k]) {
+      r -= this.weights[k];
+      k++;
+    }
+    var c = this.components[k];
+    samples.push(families[c.family].sample(c, this._random));
+  }
+  return samples;
+};
+
+/**
+ * Compute the log of the density of the mixture at a point.
+ * @param {Number} x the point where the density is evaluated
+ * @return {Number} the log-density
+ */
+Mixture.prototype.logPdf = function (x) {
+  return logSumExp(this._weightedLogDensities(x));
+};
+
+/** @private
+ * Compute the log of the weighted density of each component at a point.
+ * @param {Number} x the point where the densities are evaluated
+ * @return {Array} an array of length nComponents
+ */
+Mixture.prototype._weightedLogDensities = function (x) {
+  var logDensities = [];
+  for (var k = 0; k < this.nComponents; k++) {
+    var c = this.components[k];
+    logDensities.push(Math.log(this.weights[k]) + families[c.family].logPdf(x, c));
+  }
+  return logDensities;
+};
+
+/**
+ * Given a datapoint, determine its memberships for each component of the mixture,
+ * i.e. the posterior probabilities that it was drawn from each component.
+ * A datapoint outside of the support of every component has zero memberships.
+ * @param {Number} x number representing the sample to score under the model
+ * @return {Array} an array of length this.nComponents with membership weights
+ */
+Mixture.prototype.membership = function (x) {
+  var logDensities = this._weightedLogDensities(x);
+  var logSum = logSumExp(logDensities);
+  if (logSum === -Infinity) return logDensities.map(function () { return 0; });
+  return logDensities.map(function (a) { return Math.exp(a - logSum); });
+};
+
+/**
+ * Given an array of data, determine their memberships for each component of the mixture.
+ * @param {(Array|Float64Array)} data array of numbers representing the samples to score under the model
+ * @return {Array} (data.length * this.nComponents) matrix with membership weights
+ */
+Mixture.prototype.memberships = function (data) {
+  return Array.prototype.map.call(data, this.membership, this);
+};
+
+/**
+ * Compute the [log-likelihood](https://en.wikipedia.org/wiki/Likelihood_function#Log-likelihood) for the mixture given an array of data.
+ * @param {Array} data the data array
+ * @return {Number} the log-likelihood
+ */
+Mixture.prototype.logLikelihood = function (data) {
+  var l = 0;
+  for (var i = 0, n = data.length; i < n; i++) {
+    l += this.logPdf(data[i]);
+  }
+  return l;
+};
+
+/** @private
+ * Perform one expectation-maximization step and update the mixture weights and components in place.
+ * @param {Array} data array of numbers representing the samples to use to update the model
+ * @param {Array} memberships the memberships array for the given data (optional).
+ */
+Mixture.prototype._updateModel = function (data, memberships) {
+  if (!memberships) memberships = this.memberships(data);
+  var n = data.length;
+
+  for (var k = 0; k < this.nComponents; k++) {
+    var componentMemberships = memberships.map(function (m) { return m[k]; });
+    var c = this.components[k];
+    this.weights[k] = componentMemberships.reduce(function (a, b) { return a + b; }, 0) / n;
+    this.components[k] = families[c.family].fit(data, componentMemberships, c);
+  }
+};
+
+/**
+ * Compute the optimal mixture components given an array of data, with the expectation-maximization algorithm.
+ * If options has a true flag for `initialize`, the optimization begins with a K-means++ initialization:
+ * each datapoint is assigned to its closest seed, and each component is fitted to its datapoints.
+ * @param {(Array|Float64Array)} data array of numbers representing the samples to use to optimize the model
+ * @param {(Number|Object)} [maxIterations=200] maximum number of expectation-maximization steps,
+ * or an object with keys `maxIterations`, `logLikelihoodTol` and `report`
+ * @param {Number} [logLikelihoodTol=0.0000001] tolerance for the log-likelihood to determine if we reached the optimum
+ * @return {(Number|Object)} the number of steps to reach the converged solution.
+ * If `report` is true, an object with keys `converged` (false if the optimization stopped because it reached maxIterations),
+ * `iterations`, `logLikelihood` and `history` (the log-likelihood after each step).
+ * @example
+ var mixture = new Mixture([{family: 'laplace'}, {family: 'laplace'}], undefined, {initialize: true});
+ mixture.optimize([1.2, 1.3, 7.4, 1.4, 7.1, 7.2]);
+ */
+Mixture.prototype.optimize = function (data, maxIterations, logLikelihoodTol) {
+  var options = typeof maxIterations === 'object' && maxIterations !== null ?
+    maxIterations :
+    {maxIterations: maxIterations, logLikelihoodTol: logLikelihoodTol};
+  if (ArrayBuffer.isView(data)) data = Array.prototype.slice.call(data);
+  if (!Array.isArray(data)) throw new Error('Data must be an Array.');
+
+  maxIterations = options.maxIterations === undefined ? MAX_ITERATIONS : options.maxIterations;
+  logLikelihoodTol = options.logLikelihoodTol === undefined ? EPSILON : options.logLikelihoodTol;
+
+  this.components = this.components.map(function (c) {
+    var family = families[c.family];
+    return family.complete ? family.complete(data, c) : c;
+  });
+  if (this.options.initialize) this._initialize(data);
+
+  var logLikelihoodDiff = Infinity;
+  var logLikelihood = -Infinity;
+  var history = [];
+  for (var i = 0; i < maxIterations && logLikelihoodDiff > logLikelihoodTol; i++) {
+    this._updateModel(data);
+    var temp = this.logLikelihood(data);
+    history.push(temp);
+    logLikelihoodDiff = Math.abs(logLikelihood - temp);
+    logLikelihood = temp;
+  }
+
+  if (!options.report) return i;
+  return {
+    converged: logLikelihoodDiff <= logLikelihoodTol,
+    iterations: i,
+    logLikelihood: logLikelihood,
+    history: history
+  };
+};
+
+/** @private
+ * Initialize the mixture given data with the [K-means++](https://en.wikipedia.org/wiki/K-means%2B%2B) initialization algorithm:
+ * each datapoint is assigned to its closest seed, and each component is fitted to its datapoints, starting from default parameters.
+ * The components of a family with a false `seeded` flag, like the uniform background, get no seed: they keep their parameters,
+ * and a weight of 1 / nComponents.
+ * @param {Array} data array of numbers representing the samples to use to optimize the model
+ * @return {Array} an array that contains the seeds of the initialization.
+ */
+Mixture.prototype._initialize = function (data) {
+  var seeded = range(this.nComponents).filter(function (k) { return families[this.components[k].family].seeded !== false; }, this);
+  var nSeeded = seeded.length;
+  var unseededWeight = (this.nComponents - nSeeded) / this.nComponents;
+  var k;
+  for (k = 0; k < this.nComponents; k++) {
+    if (seeded.indexOf(k) === -1) this.weights[k] = 1 / this.nComponents;
+  }
+  if (!nSeeded) return [];
+
+  var seeds = kMeansPlusPlus(data, nSeeded, this._random);
+  var closest = closestSeeds(data, seeds);
+
+  for (var s = 0; s < nSeeded; s++) {
+    k = seeded[s];
+    var family = this.components[k].family;
+    var memberships = closest.map(function (c) { return c === s ? 1 : 0; });
+    this.weights[k] = (1 - unseededWeight) * memberships.reduce(function (a, b) { return a + b; }, 0) / data.length;
+    this.components[k] = families[family].fit(data, memberships, Mixture._defaults(family, seeds[s]));
+  }
+  return seeds;
+};
+
+/** @private
+ * Return default parameters of a component, centered on a seed, used as the starting point of the initialization.
+ * @param {String} family the name of the family
+ * @param {Number} seed the seed of the component
+ * @return {Object} a component
+ */
+Mixture._defaults = function (family, seed) {
+  switch (family) {
+  case 'gaussian': return {family: family, mean: seed, variance: 1};
+  case 'studentT': return {family: family, location: seed, scale: 1, degreesOfFreedom: 10};
+  case 'laplace': return {family: family, location: seed, scale: 1};
+  case 'logNormal': return {family: family, mu: Math.log(Math.max(seed, EPSILON)), sigma: 1};
+  case 'gamma': return {family: family, shape: 1, scale: Math.max(seed, EPSILON)};
+  default: return {family: family};
+  }
+};
+
+/**
+ * Return the model for the mixture as a raw JavaScript Object.
+ * @return {Object} the model, with keys `nComponents`, `weights` and `components`.
+ */
+Mixture.prototype.model = function () {
+  return {
+    nComponents: this.nComponents,
+    weights: this.weights,
+    components: this.components
+  };
+};
+
+/**
+ * Instantiate a mixture from an Object model and options.
+ * @return {Mixture} the mixture corresponding to the given model
+ * @example var mixture = Mixture.fromModel({
+    nComponents: 2,
+    weights: [0.9, 0.1],
+    components: [{family: 'gaussian', mean: 0, variance: 1}, {family: 'uniform', lower: -100, upper: 100}]
+  });
+ */
+Mixture.fromModel = function (model, options) {
+  if (model.components.length !== model.nComponents) throw new Error('components must have nComponents elements.');
+  return new Mixture(
+    model.components.map(function (c) { return Object.assign({}, c); }),
+    model.weights.slice(),
+    options
+  );
+};
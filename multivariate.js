@@ -0,0 +1,494 @@
+'use strict';
+
+// Imports
+var utils = require('./utils');
+var range = utils.range;
+var logSumExp = utils.logSumExp;
+
+// Constants
+var MAX_ITERATIONS = 200;
+var EPSILON = 1e-7;
+var COVARIANCE_TYPES = ['full', 'diagonal', 'spherical'];
+
+module.exports = MultivariateGMM;
+
+/**
+ * Instantiate a new multivariate GMM, i.e. a mixture of d-dimensional gaussians.
+ * @param {Number} nComponents number of components in the mixture
+ * @param {Array} weights array of weights for each component in the mixture, must sum to 1
+ * @param {Array} means array of means for each component, each mean being an array of d numbers
+ * @param {Array} covariances array of covariances for each component. Depending on `options.covarianceType`, a covariance is
+ * a d * d matrix ('full'), an array of d variances ('diagonal') or a single variance ('spherical').
+ * @param {Object} options an object that can define the `covarianceType` ('full', 'diagonal' or 'spherical', default 'full'),
+ * the `dimension` of the data (required if the means are not given), the `initialize` flag (see `optimize`)
+ * and a `seed` or `random` function used instead of `Math.random` for the initialization and the sampling.
+ * @return {MultivariateGMM} a multivariate gmm object
+ * @example var gmm = new MultivariateGMM(2, [0.5, 0.5], [[0, 0], [5, 5]], [[[1, 0], [0, 1]], [[2, 1], [1, 2]]]);
+ * @example var gmm = new MultivariateGMM(3, undefined, undefined, undefined, {dimension: 2, covarianceType: 'diagonal', initialize: true});
+ */
+function MultivariateGMM(nComponents, weights, means, covariances, options) {
+  this.options = options === undefined ? {} : options;
+  this._random = utils.createRandom(this.options);
+  this.covarianceType = this.options.covarianceType === undefined ? 'full' : this.options.covarianceType;
+  if (COVARIANCE_TYPES.indexOf(this.covarianceType) === -1) {
+    throw new Error('covarianceType must be one of \'full\', \'diagonal\' or \'spherical\'.');
+  }
+
+  if (means !== undefined && means.length) this.dimension = means[0].length;
+  else if (this.options.dimension !== undefined) this.dimension = this.options.dimension;
+  else throw new Error('The means or options.dimension must be defined.');
+
+  var d = this.dimension;
+  var type = this.covarianceType;
+  this.nComponents = nComponents;
+  this.weights = weights === undefined ? range(nComponents).map(function () { return 1 / nComponents; }) : weights;
+  this.means = means === undefined ? range(nComponents).map(function (k) { return filled(d, k); }) : means;
+  this.covariances = covariances === undefined ? range(nComponents).map(function () { return MultivariateGMM._identity(d, type); }) : covariances;
+
+  if (nComponents !== this.weights.length ||
+      nComponents !== this.means.length ||
+      nComponents !== this.covariances.length) {
+    throw new Error('weights, means and covariances must have nComponents elements.');
+  }
+  for (var k = 0; k < nComponents; k++) {
+    if (this.means[k].length !== d) throw new Error('All means must have the same dimension.');
+    if (!MultivariateGMM._isCovariance(this.covariances[k], d, type)) {
+      throw new Error('Covariances must be ' + d + 'x' + d + ' matrices, arrays of ' + d + ' variances or variances, depending on covarianceType.');
+    }
+  }
+}
+
+/**
+ * @private
+ * Return an array of precomputed components for the given GMM, used to evaluate the gaussian densities and to sample.
+ * @return {Array} an array of objects with keys `mean`, `cholesky` (the lower triangular Cholesky factor of the covariance)
+ * and `logNormalization` (the log of the normalization constant of the density).
+ */
+MultivariateGMM.prototype._components = function () {
+  var components = [];
+  for (var k = 0; k < this.nComponents; k++) {
+    var cholesky = MultivariateGMM._cholesky(MultivariateGMM._matrix(this.covariances[k], this.dimension, this.covarianceType));
+    var logDeterminant = 0;
+    for (var j = 0; j < this.dimension; j++) {
+      logDeterminant += 2 * Math.log(cholesky[j][j]);
+    }
+    components.push({
+      mean: this.means[k],
+      cholesky: cholesky,
+      logNormalization: -0.5 * (this.dimension * Math.log(2 * Math.PI) + logDeterminant)
+    });
+  }
+  return components;
+};
+
+/**
+ * @private
+ * Compute the log-density of a datapoint under each gaussian component, weighted by the mixture weights.
+ * @param {Array} x array of d numbers representing the sample
+ * @param {Array} components an Array of length nComponents that contains the components for the GMM
+ * @return {Array} an array of length nComponents with log(weights[k] * N(x | means[k], covariances[k]))
+ */
+MultivariateGMM.prototype._weightedLogDensities = function (x, components) {
+  var logDensities = [];
+  for (var k = 0; k < this.nComponents; k++) {
+    var c = components[k];
+    var y = MultivariateGMM._forwardSubstitution(c.cholesky, x.map(function (a, j) { return a - c.mean[j]; }));
+    var squaredNorm = 0;
+    for (var j = 0; j < y.length; j++) {
+      squaredNorm += y[j] * y[j];
+    }
+    logDensities.push(Math.log(this.weights[k]) + c.logNormalization - 0.5 * squaredNorm);
+  }
+  return logDensities;
+};
+
+/**
+ * Randomly sample from the GMM's distribution.
+ * @param {Number} nSamples desired number of samples
+ * @return {Array} An array of randomly sampled points (arrays of d numbers) that follow the GMM's distribution
+ */
+MultivariateGMM.prototype.sample = function (nSamples) {
+  var samples = [];
+  var components = this._components();
+
+  for (var i = 0; i < nSamples; i++) {
+    var r = this._random();
+    var n = 0;
+    while (n < this.nComponents - 1 && r > this.weights[n]) {
+      r -= this.weights[n];
+      n++;
+    }
+
+    var c = components[n];
+    var random = this._random;
+    var z = range(this.dimension).map(function () { return utils.standardNormal(random); });
+    samples.push(c.mean.map(function (m, j) {
+      var x = m;
+      for (var l = 0; l <= j; l++) {
+        x += c.cholesky[j][l] * z[l];
+      }
+      return x;
+    }));
+  }
+  return samples;
+};
+
+/**
+ * Given an array of data, determine their memberships for each component of the GMM.
+ * @param {Array} data array of points (arrays of d numbers) representing the samples to score under the model
+ * @param {Array} components (optional) an Array of length nComponents that contains the components for the GMM
+ * @return {Array} (data.length * this.nComponents) matrix with membership weights
+ */
+MultivariateGMM.prototype.memberships = function (data, components) {
+  var memberships = [];
+  if (!components) components = this._components();
+  for (var i = 0, n = data.length; i < n; i++) {
+    memberships.push(this.membership(data[i], components));
+  }
+  return memberships;
+};
+
+/**
+ * Given an array of data, determine the logarithm of their memberships for each component of the GMM.
+ * @param {Array} data array of points (arrays of d numbers) representing the samples to score under the model
+ * @param {Array} components (optional) an Array of length nComponents that contains the components for the GMM
+ * @return {Array} (data.length * this.nComponents) matrix with the log of the membership weights
+ */
+MultivariateGMM.prototype.logMemberships = function (data, components) {
+  var logMemberships = [];
+  if (!components) components = this._components();
+  for (var i = 0, n = data.length; i < n; i++) {
+    var logDensities = this._weightedLogDensities(data[i], components);
+    var logSum = logSumExp(logDensities);
+    logMemberships.push(logDensities.map(function (a) { return a - logSum; }));
+  }
+  return logMemberships;
+};
+
+/**
+ * Given a datapoint, determine its memberships for each component of the GMM.
+ * @param {Array} x array of d numbers representing the sample to score under the model
+ * @param {Array} components (optional) an Array of length nComponents that contains the components for the GMM
+ * @return {Array} an array of length this.nComponents with membership weights, i.e the probabilities that this datapoint was drawn from the each component
+ */
+MultivariateGMM.prototype.membership = function (x, components) {
+  if (!components) components = this._components();
+  var logDensities = this._weightedLogDensities(x, components);
+  var logSum = logSumExp(logDensities);
+
+  return logDensities.map(function (a) { return Math.exp(a - logSum); });
+};
+
+/**
+ * Compute the logarithm of the probability density function of the GMM.
+ * @param {Array} x array of d numbers representing the sample to score under the model
+ * @param {Array} components (optional) an Array of length nComponents that contains the components for the GMM
+ * @return {Number} the log-density of the mixture at x
+ */
+MultivariateGMM.prototype.logPdf = function (x, components) {
+  if (!components) components = this._components();
+  return logSumExp(this._weightedLogDensities(x, components));
+};
+
+/**
+ * Compute the [log-likelihood](https://en.wikipedia.org/wiki/Likelihood_function#Log-likelihood) for the GMM given data.
+ * @param {Array} data array of points (arrays of d numbers)
+ * @return {Number} the log-likelihood
+ */
+MultivariateGMM.prototype.logLikelihood = function (data) {
+  if (!Array.isArray(data)) throw new Error('Data must be an Array.');
+
+  var l = 0;
+  var components = this._components();
+  for (var i = 0, n = data.length; i < n; i++) {
+    l += this.logPdf(data[i], components);
+  }
+  return l;
+};
+
+/** @private
+ * Perform one expectation-maximization step and update the GMM weights, means and covariances in place.
+ * @param {Array} data array of points representing the samples to use to update the model
+ * @param {Array} memberships the memberships array for the given data (optional).
+ */
+MultivariateGMM.prototype._updateModel = function (data, memberships) {
+  var n = data.length;
+  var d = this.dimension;
+  if (!memberships) memberships = this.memberships(data);
+
+  for (var k = 0; k < this.nComponents; k++) {
+    // Update the mixture weight
+    var componentWeight = 0;
+    for (var i = 0; i < n; i++) {
+      componentWeight += memberships[i][k];
+    }
+    this.weights[k] = componentWeight / n;
+
+    // A component without any membership keeps its previous mean and covariance.
+    if (!(componentWeight > 0)) continue;
+
+    // Update the mixture mean
+    var mean = filled(d, 0);
+    for (i = 0; i < n; i++) {
+      for (var j = 0; j < d; j++) {
+        mean[j] += memberships[i][k] * data[i][j];
+      }
+    }
+    mean = mean.map(function (a) { return a / componentWeight; });
+    this.means[k] = mean;
+
+    // Update the mixture covariance, starting from some epsilon on the diagonal to avoid singular matrices.
+    var covariance = MultivariateGMM._identity(d, 'full').map(function (row) { return row.map(function (a) { return a * EPSILON; }); });
+    for (i = 0; i < n; i++) {
+      var diff = data[i].map(function (a, j) { return a - mean[j]; });
+      for (j = 0; j < d; j++) {
+        for (var l = 0; l <= j; l++) {
+          covariance[j][l] += memberships[i][k] * diff[j] * diff[l];
+        }
+      }
+    }
+    for (j = 0; j < d; j++) {
+      for (l = 0; l <= j; l++) {
+        covariance[j][l] /= componentWeight;
+        covariance[l][j] = covariance[j][l];
+      }
+    }
+    this.covariances[k] = MultivariateGMM._constrain(covariance, this.covarianceType);
+  }
+};
+
+/**
+ * Compute the optimal GMM components given an array of data.
+ * If options has a true flag for `initialize`, the optimization will begin with a K-means++ initialization.
+ * @param {Array} data array of points (arrays of d numbers) representing the samples to use to optimize the model
+ * @param {Number} [maxIterations=200] maximum number of expectation-maximization steps
+ * @param {Number} [logLikelihoodTol=0.0000001] tolerance for the log-likelihood
+ * to determine if we reached the optimum
+ * @return {Number} the number of steps to reach the converged solution
+ * @example
+ var gmm = new MultivariateGMM(2, undefined, undefined, undefined, {dimension: 2, initialize: true});
+ gmm.optimize([[0, 0.1], [0.2, 0], [0.1, 0.2], [5, 5.1], [5.2, 4.9], [4.9, 5]]);
+ console.log(gmm.means); // >> [[0.1, 0.1], [5.033, 5]]
+ */
+MultivariateGMM.prototype.optimize = function (data, maxIterations, logLikelihoodTol) {
+  if (!Array.isArray(data)) throw new Error('Data must be an Array.');
+  for (var i = 0; i < data.length; i++) {
+    if (data[i].length !== this.dimension) throw new Error('All datapoints must have ' + this.dimension + ' dimensions.');
+  }
+
+  if (this.options.initialize) this._initialize(data);
+
+  maxIterations = maxIterations === undefined ? MAX_ITERATIONS : maxIterations;
+  logLikelihoodTol = logLikelihoodTol === undefined ? EPSILON : logLikelihoodTol;
+  var logLikelihoodDiff = Infinity;
+  var logLikelihood = -Infinity;
+  var temp;
+  for (i = 0; i < maxIterations && logLikelihoodDiff > logLikelihoodTol; i++) {
+    this._updateModel(data);
+    temp = this.logLikelihood(data);
+    logLikelihoodDiff = Math.abs(logLikelihood - temp);
+    logLikelihood = temp;
+  }
+  return i;
+};
+
+/** @private
+ * Initialize the GMM means given data with the [K-means++](https://en.wikipedia.org/wiki/K-means%2B%2B) initialization algorithm,
+ * using the squared euclidean distance between points.
+ * @param {Array} data array of points representing the samples to use to optimize the model
+ * @return {Array} an array of length nComponents that contains the means for the initialization.
+ */
+MultivariateGMM.prototype._initialize = function (data) {
+  var n = data.length;
+
+  if (n < this.nComponents) throw new Error('Data must have more points than the number of components in the model.');
+
+  var means = [];
+
+  // Find the first seed at random
+  means.push(data[Math.round(this._random() * (n - 1))].slice());
+
+  var distances = [];
+
+  // Chose all other seeds
+  for (var m = 1; m < this.nComponents; m++) {
+    // Compute the distance from each datapoint to the closest seed
+    var dsum = 0;
+    for (var i = 0; i < n; i++) {
+      var d = Infinity;
+      for (var j = 0; j < means.length; j++) {
+        d = Math.min(d, squaredDistance(means[j], data[i]));
+      }
+      distances[i] = d;
+      dsum += d;
+    }
+
+    // Chose the next seed at random with probabilities d / dsum
+    var r = this._random();
+    var c;
+    for (j = 0; j < n; j++) {
+      var p = (distances[j] / dsum) || 0;
+      if (p > r || j === (n - 1)) {
+        c = data[j];
+        break;
+      } else {
+        r -= p;
+      }
+    }
+
+    means.push(c.slice());
+  }
+
+  this.means = means;
+  return means;
+};
+
+/**
+ * Return the model for the GMM as a raw JavaScript Object.
+ * @return {Object} the model, with keys `nComponents`, `covarianceType`, `weights`, `means`, `covariances`.
+ */
+MultivariateGMM.prototype.model = function () {
+  return {
+    nComponents: this.nComponents,
+    covarianceType: this.covarianceType,
+    weights: this.weights,
+    means: this.means,
+    covariances: this.covariances
+  };
+};
+
+/**
+ * Instantiate a multivariate GMM from an Object model and options.
+ * The `covarianceType` of the model takes precedence over the one of the options.
+ * @return {MultivariateGMM} the GMM corresponding to the given model
+ * @example var gmm = MultivariateGMM.fromModel({
+    nComponents: 2,
+    covarianceType: 'diagonal',
+    weights: [0.3, 0.7],
+    means: [[0, 0], [5, 5]],
+    covariances: [[1, 1], [2, 0.5]]
+  });
+ */
+MultivariateGMM.fromModel = function (model, options) {
+  options = Object.assign({}, options);
+  if (model.covarianceType !== undefined) options.covarianceType = model.covarianceType;
+  return new MultivariateGMM(
+    model.nComponents,
+    model.weights,
+    model.means,
+    model.covariances,
+    options
+  );
+};
+
+/** @private
+ * Return the identity covariance in the representation of the given covariance type.
+ * @param {Number} d the dimension
+ * @param {String} type the covariance type
+ * @return {(Array|Number)} the identity covariance
+ */
+MultivariateGMM._identity = function (d, type) {
+  if (type === 'spherical') return 1;
+  if (type === 'diagonal') return filled(d, 1);
+  return range(d).map(function (i) { return range(d).map(function (j) { return i === j ? 1 : 0; }); });
+};
+
+/** @private
+ * Check that a covariance has the shape expected for the covariance type.
+ * @param {(Array|Number)} covariance the covariance
+ * @param {Number} d the dimension
+ * @param {String} type the covariance type
+ * @return {Boolean} true if the covariance is well-formed
+ */
+MultivariateGMM._isCovariance = function (covariance, d, type) {
+  if (type === 'spherical') return typeof covariance === 'number';
+  if (type === 'diagonal') return Array.isArray(covariance) && covariance.length === d;
+  return Array.isArray(covariance) && covariance.length === d &&
+    covariance.every(function (row) { return Array.isArray(row) && row.length === d; });
+};
+
+/** @private
+ * Convert a covariance of the given type to a full d * d matrix.
+ * @param {(Array|Number)} covariance the covariance
+ * @param {Number} d the dimension
+ * @param {String} type the covariance type
+ * @return {Array} the covariance matrix
+ */
+MultivariateGMM._matrix = function (covariance, d, type) {
+  if (type === 'full') return covariance;
+  return range(d).map(function (i) {
+    return range(d).map(function (j) {
+      if (i !== j) return 0;
+      return type === 'spherical' ? covariance : covariance[i];
+    });
+  });
+};
+
+/** @private
+ * Reduce a full covariance matrix to the representation of the given covariance type.
+ * The diagonal type keeps the variances, and the spherical type keeps the average variance.
+ * @param {Array} matrix the covariance matrix
+ * @param {String} type the covariance type
+ * @return {(Array|Number)} the constrained covariance
+ */
+MultivariateGMM._constrain = function (matrix, type) {
+  if (type === 'full') return matrix;
+  var variances = matrix.map(function (row, i) { return row[i]; });
+  if (type === 'diagonal') return variances;
+  return variances.reduce(function (a, b) { return a + b; }, 0) / variances.length;
+};
+
+/** @private
+ * Compute the [Cholesky decomposition](https://en.wikipedia.org/wiki/Cholesky_decomposition) of a symmetric positive definite matrix.
+ * @param {Array} matrix a d * d symmetric positive definite matrix
+ * @return {Array} the lower triangular matrix L such that L * L^T = matrix
+ */
+MultivariateGMM._cholesky = function (matrix) {
+  var d = matrix.length;
+  var L = range(d).map(function () { return filled(d, 0); });
+  for (var i = 0; i < d; i++) {
+    for (var j = 0; j <= i; j++) {
+      var sum = matrix[i][j];
+      for (var k = 0; k < j; k++) {
+        sum -= L[i][k] * L[j][k];
+      }
+      if (i === j) {
+        if (!(sum > 0)) throw new Error('Covariance matrices must be positive definite.');
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+/** @private
+ * Solve L * y = b for a lower triangular matrix L.
+ * @param {Array} L a d * d lower triangular matrix
+ * @param {Array} b an array of d numbers
+ * @return {Array} the solution y
+ */
+MultivariateGMM._forwardSubstitution = function (L, b) {
+  var y = [];
+  for (var i = 0; i < b.length; i++) {
+    var sum = b[i];
+    for (var k = 0; k < i; k++) {
+      sum -= L[i][k] * y[k];
+    }
+    y.push(sum / L[i][i]);
+  }
+  return y;
+};
+
+function filled(n, value) {
+  return range(n).map(function () { return value; });
+}
+
+function squaredDistance(a, b) {
+  var d = 0;
+  for (var i = 0; i < a.length; i++) {
+    d += (a[i] - b[i]) * (a[i] - b[i]);
+  }
+  return d;
+}
@@ -0,0 +1,105 @@
+'use strict';
+
+// Benchmark of the expectation-maximization steps: each case runs the same number of iterations from the same model
+// with the fused expectation step used by `optimize`, and with the memberships and the log-likelihood computed
+// in two separate passes over the data. The median time of a few runs is reported for both, and the benchmark fails
+// if the fused steps are not faster, or if they fit a different model. Run with `npm run bench`.
+
+var GMM = require('../index');
+var Histogram = require('../index').Histogram;
+
+var ITERATIONS = 20;
+var RUNS = 5;
+
+var reference = new GMM(3, [0.3, 0.5, 0.2], [-4, 2, 9], [1, 4, 2], {seed: 1});
+var data = new Float64Array(reference.sample(50000));
+var censored = Array.prototype.slice.call(data, 0, 5000).map(function (x) { return [Math.floor(x), Math.floor(x) + 1]; });
+var histogram = Histogram.fromData(data, {binCount: 20000});
+var binnedHistogram = Histogram.fromData(data, {binCount: 5000});
+
+function start(options) {
+  return new GMM(3, [0.2, 0.3, 0.5], [-6, 0, 6], [2, 2, 2], options);
+}
+
+function arrayCase(name, samples) {
+  return {
+    name: name,
+    separate: function (gmm) {
+      for (var i = 0; i < ITERATIONS; i++) {
+        gmm._updateModel(samples);
+        gmm._logLikelihood(samples);
+      }
+    },
+    fused: function (gmm) {
+      var expectation = gmm._expectation(samples);
+      for (var i = 0; i < ITERATIONS; i++) {
+        gmm._updateModel(samples, expectation.memberships);
+        expectation = gmm._expectation(samples, expectation.memberships);
+      }
+    }
+  };
+}
+
+function histogramCase(name, h, options) {
+  return {
+    name: name,
+    options: options,
+    separate: function (gmm) {
+      for (var i = 0; i < ITERATIONS; i++) {
+        gmm._updateModelHistogram(h, gmm._membershipsHistogram(h));
+        gmm._logLikelihoodHistogram(h);
+      }
+    },
+    fused: function (gmm) {
+      var expectation = gmm._expectationHistogram(h);
+      for (var i = 0; i < ITERATIONS; i++) {
+        gmm._updateModelHistogram(h, expectation.memberships, expectation.binned);
+        expectation = gmm._expectationHistogram(h, expectation.memberships);
+      }
+    }
+  };
+}
+
+var cases = [
+  arrayCase('array, 50000 points', data),
+  arrayCase('censored array, 5000 points', censored),
+  histogramCase('histogram, 20000 bins', histogram),
+  histogramCase('binned histogram, 5000 bins', binnedHistogram, {binned: true})
+];
+
+// Return the median time in milliseconds of a few runs of a function, and the model it fitted.
+function time(run, options) {
+  var times = [];
+  var gmm;
+  for (var r = 0; r < RUNS; r++) {
+    gmm = start(options);
+    var t = process.hrtime();
+    run(gmm);
+    var elapsed = process.hrtime(t);
+    times.push(elapsed[0] * 1e3 + elapsed[1] / 1e6);
+  }
+  times.sort(function (a, b) { return a - b; });
+  return {ms: times[Math.floor(RUNS / 2)], gmm: gmm};
+}
+
+var failures = [];
+cases.forEach(function (c) {
+  // Warm up both paths before timing them.
+  c.separate(start(c.options));
+  c.fused(start(c.options));
+
+  var separate = time(c.separate, c.options);
+  var fused = time(c.fused, c.options);
+  var speedup = separate.ms / fused.ms;
+  console.log(
+    c.name + ': ' + ITERATIONS + ' iterations, median of ' + RUNS + ' runs, separate ' + separate.ms.toFixed(1) +
+    ' ms, fused ' + fused.ms.toFixed(1) + ' ms, speedup x' + speedup.toFixed(2)
+  );
+  if (JSON.stringify(separate.gmm.model()) !== JSON.stringify(fused.gmm.model())) failures.push(c.name + ': the fitted models differ.');
+  if (!(speedup > 1)) failures.push(c.name + ': the fused steps are not faster.');
+});
+
+if (failures.length) {
+  console.error(failures.join('\n'));
+  process.exitCode = 1;
+}
@@ -20,10 +20,38 @@ test('Initialization of a new GMM object.', function (t) {
 });
 
 test('Random sampling.', function (t) {
-  t.plan(1);
+  t.plan(2);
 
   var gmm = new GMM(3);
   t.equal(5, gmm.sample(5).length);
+
+  // A uniform number beyond the sum of the weights falls in the last component.
+  gmm = new GMM(2, [0.2, 0.2], [0, 100], [1, 1], {random: function () { return 0.5; }});
+  t.same(gmm.sample(1).map(Math.round), [100]);
+});
+
+test('Seeded random number generator.', function (t) {
+  var model = {nComponents: 3, weights: [0.2, 0.5, 0.3], means: [0, 10, 30], vars: [1, 2, 4]};
+  t.same(GMM.fromModel(model, {seed: 42}).sample(10), GMM.fromModel(model, {seed: 42}).sample(10));
+  t.notSame(GMM.fromModel(model, {seed: 42}).sample(10), GMM.fromModel(model, {seed: 43}).sample(10));
+
+  var gmm = new GMM(3, undefined, undefined, undefined, {seed: 7, initialize: true});
+  var gmm2 = new GMM(3, undefined, undefined, undefined, {seed: 7, initialize: true});
+  t.same(gmm._initialize(data), gmm2._initialize(data));
+  gmm.optimize(data);
+  gmm2.optimize(data);
+  t.same(gmm.model(), gmm2.model());
+
+  var h = Histogram.fromData(data);
+  gmm = new GMM(3, undefined, undefined, undefined, {seed: 7});
+  gmm2 = new GMM(3, undefined, undefined, undefined, {seed: 7});
+  t.same(gmm._initializeHistogram(h), gmm2._initializeHistogram(h));
+
+  var calls = 0;
+  gmm = GMM.fromModel(model, {random: function () { calls++; return 0.5; }});
+  t.same(gmm.sample(2).map(Math.round), [10, 10]);
+  t.equal(calls, 4);
+  t.end();
 });
 
 test('Gaussians of a mixture model.', function (t) {
@@ -47,6 +75,109 @@ test('Computing membership for one datapoint', function (t) {
   t.equal(gmm.membership(0)[0] > 0.99, true);
 });
 
+test('Log-space memberships and density', function (t) {
+  var gmm = new GMM(3, [0.2, 0.5, 0.3], [0, 10, 20], [1, 2, 0.5]);
+  var gaussians = gmm._gaussians();
+  var pdf = function (x) {
+    return gaussians.reduce(function (a, g, k) { return a + gmm.weights[k] * g.pdf(x); }, 0);
+  };
+
+  t.equal(Math.abs(gmm.logPdf(3) - Math.log(pdf(3))) < 1e-12, true);
+  t.equal(Math.abs(gmm.logLikelihood([3, 12]) - Math.log(pdf(3)) - Math.log(pdf(12))) < 1e-12, true);
+
+  var logMemberships = gmm.logMemberships([5, 12]);
+  t.equal(logMemberships.length, 2);
+  t.equal(Math.abs(Math.exp(logMemberships[0][0]) - gmm.membership(5)[0]) < 1e-12, true);
+
+  // Outliers far from every component do not underflow.
+  t.same(gmm.membership(1e4), [0, 1, 0]);
+  t.equal(isFinite(gmm.logPdf(1e4)), true);
+  t.equal(isFinite(gmm.logLikelihood([1, 1e4])), true);
+  t.equal(isFinite(gmm.logLikelihood(Histogram.fromData([1, 1e4]))), true);
+
+  gmm = new GMM(2, undefined, [0, 10], [1, 1]);
+  gmm.optimize([0, 0.5, 1, 9, 10, 11, 1e6]);
+  t.equal(gmm.means.concat(gmm.vars, gmm.weights).some(isNaN), false);
+  t.end();
+});
+
+test('Distribution functions', function (t) {
+  var gmm = new GMM(2, [0.9, 0.1], [100, 1000], [100, 10000]);
+  var close = function (a, b) { return Math.abs(a - b) < 1e-6; };
+
+  t.equal(close(gmm.pdf(100), 0.9 / Math.sqrt(2 * Math.PI * 100)), true);
+  t.equal(close(gmm.cdf(100), 0.45), true);
+  t.equal(gmm.cdf(-Infinity), 0);
+  t.equal(gmm.cdf(Infinity), 1);
+
+  [1e-6, 0.01, 0.45, 0.5, 0.9, 0.99].forEach(function (p) {
+    t.equal(close(gmm.cdf(gmm.ppf(p)), p), true);
+  });
+  t.equal(Math.abs(gmm.ppf(0.45) - 100) < 1e-4, true);
+  t.equal(gmm.ppf(0), -Infinity);
+  t.equal(gmm.ppf(1), Infinity);
+  t.throws(function () { gmm.ppf(1.5); });
+  t.throws(function () { new GMM(2, [0.2, 0.2], [0, 1], [1, 1]).ppf(0.9); }, /could not be bracketed/);
+  t.throws(function () { new GMM(1, [1], [NaN], [1]).ppf(0.5); }, /could not be bracketed/);
+
+  t.equal(close(gmm.probability(500, Infinity), 0.1), true);
+  t.equal(close(gmm.probability(-Infinity, Infinity), 1), true);
+  t.equal(close(gmm.probability(90, 110), gmm.cdf(110) - gmm.cdf(90)), true);
+  t.throws(function () { gmm.probability(2, 1); });
+  t.end();
+});
+
+test('Hard assignment and scoring', function (t) {
+  var gmm = new GMM(3, [0.3, 0.5, 0.2], [1, 5, 7], [2, 2, 2]);
+  var d = [1, 2, 5, 5.4, 6.6, 7, 7];
+  t.same(gmm.predict(d), [0, 0, 1, 1, 2, 2, 2]);
+  t.same(gmm.predictProba(d), gmm.memberships(d));
+  t.equal(gmm.score(d), gmm.logLikelihood(d) / 7);
+
+  var h = Histogram.fromData(d);
+  t.same(gmm.predict(h), {1: 0, 2: 0, 5: 1, 7: 2});
+  t.same(gmm.predictProba(h), gmm._membershipsHistogram(h));
+  t.equal(gmm.score(h), gmm.logLikelihood(h) / 7);
+
+  t.throws(function () { gmm.predict('foo'); });
+  t.throws(function () { gmm.score('foo'); });
+  t.end();
+});
+
+test('Moments and summary statistics', function (t) {
+  var close = function (a, b, tol) { return Math.abs(a - b) < (tol || 1e-9); };
+
+  var gmm = new GMM(1, [1], [3], [4]);
+  t.equal(gmm.mean(), 3);
+  t.equal(gmm.variance(), 4);
+  t.equal(gmm.skewness(), 0);
+  t.equal(gmm.kurtosis(), 3);
+  t.same(gmm.modes(), [3]);
+  t.equal(close(gmm.entropy(), 0.5 * Math.log(2 * Math.PI * Math.E * 4), 1e-6), true);
+
+  gmm = new GMM(2, [0.5, 0.5], [-1, 1], [1, 1]);
+  t.equal(gmm.moments(0), 1);
+  t.equal(close(gmm.moments(1), 0), true);
+  t.equal(close(gmm.moments(2), 2), true);
+  t.equal(close(gmm.moments(3), 0), true);
+  t.equal(close(gmm.moments(4), 10), true); // 0.5 * (1 + 6 + 3) * 2
+  t.equal(gmm.modes().length, 1);
+  t.equal(close(gmm.modes()[0], 0, 1e-3), true);
+  t.throws(function () { gmm.moments(1.5); });
+
+  gmm = new GMM(3, [0.2, 0.5, 0.3], [0, 10, 30], [1, 2, 4]);
+  t.equal(close(gmm.mean(), 14), true);
+  t.equal(close(gmm.variance(), 0.2 * 1 + 0.5 * 2 + 0.3 * 4 + 0.2 * 196 + 0.5 * 16 + 0.3 * 256), true);
+  t.equal(gmm.skewness() > 0, true);
+  var modes = gmm.modes();
+  t.equal(modes.length, 3);
+  [0, 10, 30].forEach(function (m, i) { t.equal(close(modes[i], m, 1e-5), true); });
+
+  gmm = new GMM(2, [0.5, 0.5], [0, 100], [1, 1]);
+  t.equal(close(gmm.entropy(), Math.log(2) + 0.5 * Math.log(2 * Math.PI * Math.E), 1e-5), true);
+  t.end();
+});
+
 test('Shape of the membership matrix', function (t) {
   t.plan(2);
 
@@ -108,6 +239,481 @@ test('EM full optimization', function (t) {
   t.same(gmm3.means, [1, 2, 3]);
 });
 
+test('EM convergence report', function (t) {
+  var gmm = new GMM(3, undefined, [-1, 13, 25], [1, 1, 1]);
+  var report = gmm.optimize(data, {report: true});
+
+  t.equal(report.converged, true);
+  t.equal(report.iterations, 3);
+  t.equal(report.history.length, 3);
+  t.equal(report.logLikelihood, report.history[2]);
+  t.equal(report.logLikelihood, gmm.logLikelihood(data));
+  t.same(report.warnings, []);
+
+  gmm = new GMM(3, undefined, [-1, 13, 25], [1, 1, 1]);
+  report = gmm.optimize(Histogram.fromData(data), {report: true, maxIterations: 2});
+  t.equal(report.converged, false);
+  t.equal(report.iterations, 2);
+
+  gmm = new GMM(2, undefined, [1, 2], [1, 1]);
+  report = gmm.optimize([1, 1, 1, 1, 5, 6, 7], {report: true});
+  t.same(report.warnings.map(function (w) { return [w.type, w.component]; }), [['collapsedVariance', 0]]);
+
+  gmm = new GMM(3, undefined, [1, 2, 100], [1, 1, 1]);
+  report = gmm.optimize([1, 1, 1, 2, 2, 2, 2], {report: true});
+  t.equal(report.converged, false);
+  t.same(report.warnings.map(function (w) { return [w.type, w.component, w.iteration]; }), [['zeroWeight', 2, 0]]);
+  t.end();
+});
+
+test('EM optimization with restarts', function (t) {
+  var gmm = new GMM(3, undefined, undefined, undefined, {seed: 3});
+  var result = gmm.optimize(data, {nInit: 5});
+
+  t.equal(result.restarts.length, 5);
+  var best = Math.max.apply(null, result.restarts.map(function (r) { return r.logLikelihood; }));
+  t.equal(result.logLikelihood, best);
+  t.equal(gmm.logLikelihood(data), best);
+  t.equal(result.history[result.history.length - 1], best);
+  result.restarts.forEach(function (r) {
+    t.equal(r.converged, true);
+    t.equal(r.iterations > 0, true);
+  });
+
+  var h = Histogram.fromData(data);
+  result = gmm.optimize(h, {nInit: 2, maxIterations: 1});
+  t.equal(result.restarts.length, 2);
+  t.equal(result.iterations, 1);
+  t.equal(result.converged, false);
+
+  t.equal(gmm.optimize(data, {maxIterations: 2}), 2);
+  t.throws(function () { gmm.optimize(data, {nInit: 0}); }, new Error('nInit must be a positive integer.'));
+  t.throws(function () { gmm.optimize(data, {nInit: 2.5}); }, new Error('nInit must be a positive integer.'));
+  t.throws(function () { gmm.optimize(data, {nInit: Infinity}); }, new Error('nInit must be a positive integer.'));
+  t.throws(function () { gmm.optimize('foo', {nInit: 2}); });
+  t.end();
+});
+
+test('Online EM', function (t) {
+  var refGmm = new GMM(3, [0.2, 0.5, 0.3], [0, 10, 30], [1, 2, 4]);
+  var gmm = new GMM(3, undefined, [-1, 13, 25], [1, 1, 1]);
+  var gmm2 = new GMM(3, undefined, [-1, 13, 25], [1, 1, 1]);
+
+  for (var epoch = 0; epoch < 3; epoch++) {
+    for (var i = 0; i < data.length; i += 10) {
+      t.equal(gmm.partialFit(data.slice(i, i + 10)), gmm);
+      gmm2.partialFit(Histogram.fromData(data.slice(i, i + 10)));
+    }
+  }
+  for (var j = 0; j < 3; j++) {
+    t.equal(Math.abs(gmm.weights[j] - refGmm.weights[j]) < 0.1, true);
+    t.equal(Math.abs(gmm.means[j] - refGmm.means[j]) < 1, true);
+    t.equal(Math.abs(gmm.vars[j] - refGmm.vars[j]) < 1, true);
+    t.equal(Math.abs(gmm2.means[j] - refGmm.means[j]) < 1, true);
+  }
+  t.equal(Math.abs(gmm.weights.reduce(function (a, b) { return a + b; }) - 1) < 1e-12, true);
+
+  gmm = new GMM(3, undefined, [-1, 13, 25], [1, 1, 1]);
+  gmm2 = new GMM(3, undefined, [-1, 13, 25], [1, 1, 1]);
+  gmm.update(12).update(0.5);
+  gmm2.partialFit([12]).partialFit([0.5]);
+  t.same(gmm.model(), gmm2.model());
+  t.equal(gmm._sufficientStatistics.t, 2);
+
+  gmm.optimize(data);
+  t.equal(gmm._sufficientStatistics, null);
+
+  t.throws(function () { return new GMM(3, undefined, undefined, undefined, {stepSizeDecay: 0.5}).update(1); });
+  t.throws(function () { return new GMM(3, undefined, undefined, undefined, {stepSizeOffset: 0}).update(1); });
+  t.throws(function () { gmm.partialFit('foo'); });
+  t.end();
+});
+
+test('Weighted observations', function (t) {
+  var values = [1, 1.5, 2, 9, 10, 10.5, 11];
+  var counts = [2, 1, 3, 1, 2, 4, 1];
+  var repeated = [];
+  values.forEach(function (x, i) { for (var c = 0; c < counts[i]; c++) repeated.push(x); });
+
+  var gmm = new GMM(2, undefined, [0, 12], [1, 1]);
+  var gmm2 = new GMM(2, undefined, [0, 12], [1, 1]);
+  gmm.optimize(values, {sampleWeights: counts});
+  gmm2.optimize(repeated);
+  for (var k = 0; k < 2; k++) {
+    t.equal(Math.abs(gmm.weights[k] - gmm2.weights[k]) < 1e-9, true);
+    t.equal(Math.abs(gmm.means[k] - gmm2.means[k]) < 1e-9, true);
+    t.equal(Math.abs(gmm.vars[k] - gmm2.vars[k]) < 1e-9, true);
+  }
+  t.equal(Math.abs(gmm.logLikelihood(values, {sampleWeights: counts}) - gmm.logLikelihood(repeated)) < 1e-9, true);
+  t.equal(Math.abs(gmm.score(values, {sampleWeights: counts}) - gmm.score(repeated)) < 1e-12, true);
+
+  // Zero weights are ignored, including by the initialization.
+  gmm = new GMM(2, undefined, undefined, undefined, {initialize: true, seed: 3});
+  gmm.optimize(values.concat([1000]), {sampleWeights: counts.map(function (c) { return c / 2; }).concat([0])});
+  t.equal(gmm.means.every(function (m) { return m < 12; }), true);
+
+  t.throws(function () { gmm.optimize(values, {sampleWeights: [1, 2]}); });
+  t.throws(function () { gmm.optimize(values, {sampleWeights: values.map(function () { return -1; })}); });
+  t.throws(function () { gmm.optimize(values, {sampleWeights: values.map(function () { return 0; })}); });
+  t.throws(function () { gmm.optimize(Histogram.fromData(values), {sampleWeights: counts}); });
+  t.end();
+});
+
+test('Binned EM', function (t) {
+  var samples = new GMM(1, [1], [100], [3600], {seed: 1}).sample(5000);
+  var h = Histogram.fromData(samples, {a: [-300, 0], b: [0, 100], c: [100, 200], d: [200, 500]});
+
+  // The midpoints of wide bins bias the variance, the exact binned likelihood does not.
+  var gmm = new GMM(1, [1], [50], [100]);
+  gmm.optimize(h);
+  t.equal(Math.abs(gmm.vars[0] - 3600) > 1000, true);
+
+  gmm = new GMM(1, [1], [50], [100], {binned: true});
+  var report = gmm.optimize(h, {report: true});
+  t.equal(report.converged, true);
+  t.equal(Math.abs(gmm.means[0] - 100) < 5, true);
+  t.equal(Math.abs(gmm.vars[0] - 3600) < 300, true);
+  t.equal(report.logLikelihood, gmm.logLikelihood(h));
+
+  // Open-ended bins are supported.
+  var open = new GMM(1, [1], [50], [100], {binned: true});
+  open.optimize(Histogram.fromData(samples, {a: [-Infinity, 0], b: [0, 100], c: [100, Infinity]}));
+  t.equal(Math.abs(open.means[0] - 100) < 5, true);
+
+  // The likelihood is a multinomial over the bin probabilities.
+  var p = gmm.cdf(100) - gmm.cdf(0);
+  t.equal(Math.abs(gmm._binStatistics(h).logProbabilities.b[0] - Math.log(p)) < 1e-6, true);
+
+  // Bins far from every component do not underflow.
+  gmm = new GMM(2, [0.5, 0.5], [0, 1], [1, 1], {binned: true});
+  var far = new Histogram({bins: {a: [-2, 2], b: [1000, 1001]}, counts: {a: 10, b: 1}});
+  t.same(gmm.predictProba(far).b, [0, 1]);
+  t.equal(Math.abs(gmm._binStatistics(far).moments.b[0][0] - 1000.001) < 1e-6, true);
+  t.equal(isFinite(gmm.logLikelihood(far)), true);
+  t.end();
+});
+
+test('Censored and truncated data', function (t) {
+  var samples = new GMM(2, [0.4, 0.6], [10, 40], [16, 100], {seed: 2}).sample(4000);
+
+  // Values clipped at an instrument limit are only known to be above the limit.
+  var censored = samples.map(function (x) { return x >= 45 ? [45, Infinity] : x; });
+  var gmm = new GMM(2, undefined, [5, 50], [10, 10]);
+  var report = gmm.optimize(censored, {report: true});
+  t.equal(report.converged, true);
+  t.equal(Math.abs(gmm.means[1] - 40) < 1.5, true);
+  t.equal(Math.abs(gmm.vars[1] - 100) < 20, true);
+  t.equal(report.logLikelihood, gmm.logLikelihood(censored));
+  t.equal(Math.abs(gmm.logLikelihood([[45, Infinity]]) - Math.log(1 - gmm.cdf(45))) < 1e-6, true);
+  t.same(gmm.membership([-Infinity, 0]).map(Math.round), [1, 0]);
+
+  // Samples outside of the truncation range are never observed.
+  var truncated = samples.filter(function (x) { return x > 5 && x < 45; });
+  var truncation = [5, 45];
+  gmm = new GMM(2, undefined, [5, 50], [10, 10]);
+  report = gmm.optimize(truncated, {truncation: truncation, maxIterations: 1000, report: true});
+  t.equal(report.converged, true);
+  t.equal(Math.abs(gmm.means[1] - 40) < 2, true);
+  t.equal(Math.abs(gmm.vars[1] - 100) < 40, true);
+  var reference = new GMM(2, [0.4, 0.6], [10, 40], [16, 100]);
+  t.equal(report.logLikelihood >= reference.logLikelihood(truncated, {truncation: truncation}), true);
+  t.equal(Math.abs(gmm.logLikelihood([20], {truncation: truncation}) -
+    (gmm.logPdf(20) - Math.log(gmm.probability(5, 45)))) < 1e-6, true);
+
+  t.throws(function () { gmm.optimize([1, 2, 50], {truncation: truncation}); });
+  t.throws(function () { gmm.optimize([1, 2, 3], {truncation: [3, 1]}); });
+  t.throws(function () { gmm.optimize([1, 2, [5, 3]]); });
+  t.throws(function () { gmm.optimize([1, 2, [-Infinity, Infinity]]); });
+  t.throws(function () { gmm.optimize(Histogram.fromData([1, 2, 3]), {truncation: truncation}); });
+  t.end();
+});
+
+test('Conjugate priors', function (t) {
+  var data = [1, 2, 2.5, 4, 6];
+  var n = data.length;
+  var mean = data.reduce(function (a, b) { return a + b; }) / n;
+  var squares = data.reduce(function (a, x) { return a + (x - mean) * (x - mean); }, 0);
+
+  // With one component, a maximum a posteriori step has a closed form.
+  var prior = {mean: 10, meanStrength: 2, shape: 3, scale: 4};
+  var gmm = new GMM(1, [1], [0], [1], {prior: prior});
+  gmm._updateModel(data);
+  var mapMean = (n * mean + 2 * 10) / (n + 2);
+  t.equal(Math.abs(gmm.means[0] - mapMean) < 1e-6, true);
+  var mapVar = (2 * 4 + squares + n * (mean - mapMean) * (mean - mapMean) + 2 * (mapMean - 10) * (mapMean - 10)) / (n + 2 * 3 + 3);
+  t.equal(Math.abs(gmm.vars[0] - mapVar) < 1e-6, true);
+
+  // Without a prior on the variances, the variance is the one around the maximum a posteriori mean.
+  gmm = new GMM(1, [1], [0], [1], {prior: {mean: 10, meanStrength: 2}});
+  gmm._updateModel(data);
+  t.equal(Math.abs(gmm.vars[0] - (squares + n * (mean - mapMean) * (mean - mapMean)) / n) < 1e-6, true);
+
+  // A Dirichlet concentration keeps a component without data alive.
+  var options = {prior: {concentration: [1, 4]}};
+  gmm = new GMM(2, [0.5, 0.5], [2, 1000], [1, 1], options);
+  gmm.optimize(data, 5);
+  t.equal(gmm.weights[1] > 0.3, true);
+  t.equal(Math.abs(gmm.weights[0] + gmm.weights[1] - 1) < 1e-12, true);
+  gmm = new GMM(2, [0.5, 0.5], [2, 1000], [1, 1]);
+  gmm.optimize(data, 5);
+  t.equal(gmm.weights[1] < 1e-6, true);
+
+  // A component without any membership comes back with the mode of the prior, or its previous parameters.
+  gmm = new GMM(2, [0.5, 0.5], [2, 1e4], [1, 1], {prior: {concentration: 2, meanStrength: 1, shape: 2, scale: 1}});
+  gmm.optimize([0, 1, 2, 3, 4, 5], 1);
+  t.equal(gmm.weights[1], 0.125);
+  t.equal(gmm.means[1], 0);
+  t.equal(gmm.vars[1], 2 / 7);
+  gmm.optimize([0, 1, 2, 3, 4, 5]);
+  t.equal(gmm.means.concat(gmm.vars).every(isFinite), true);
+  gmm = new GMM(2, [0.5, 0.5], [2, 1e4], [1, 3], {prior: {concentration: 2}});
+  gmm.optimize([0, 1, 2, 3, 4, 5], 1);
+  t.same([gmm.means[1], gmm.vars[1]], [1e4, 3]);
+
+  t.throws(function () { new GMM(2, undefined, undefined, undefined, {prior: {concentration: [1, 2, 3]}}).optimize(data); });
+  t.throws(function () { new GMM(2, undefined, undefined, undefined, {prior: {concentration: 0}}).optimize(data); });
+  t.throws(function () { new GMM(2, undefined, undefined, undefined, {prior: {shape: 2}}).optimize(data); });
+  t.end();
+});
+
+test('Parameter constraints', function (t) {
+  var samples = new GMM(2, [0.3, 0.7], [0, 10], [1, 4], {seed: 4}).sample(1000);
+
+  // A known calibration peak keeps its mean, and its variance is estimated around it.
+  var gmm = new GMM(2, [0.5, 0.5], [0.5, 8], [1, 1], {constraints: {fixedMeans: [true, false]}});
+  gmm.optimize(samples);
+  t.equal(gmm.means[0], 0.5);
+  t.equal(Math.abs(gmm.means[1] - 10) < 0.5, true);
+  t.equal(gmm.vars[0] > 1, true);
+
+  // Fixed weights are kept, and the other weights fill the rest.
+  gmm = new GMM(3, [0.2, 0.4, 0.4], [0, 8, 12], [1, 1, 1], {constraints: {fixedWeights: [true, false, false]}});
+  gmm.optimize(samples);
+  t.equal(gmm.weights[0], 0.2);
+  t.equal(Math.abs(gmm.weights.reduce(function (a, b) { return a + b; }) - 1) < 1e-12, true);
+
+  // A tied variance is shared by all components.
+  gmm = new GMM(2, [0.5, 0.5], [0, 8], [1, 1], {constraints: {tiedVariance: true}});
+  gmm.optimize(samples);
+  t.equal(gmm.vars[0], gmm.vars[1]);
+  t.equal(gmm.vars[0] > 1 && gmm.vars[0] < 4, true);
+
+  // Bounds, per component or for all components.
+  gmm = new GMM(2, [0.5, 0.5], [0, 8], [1, 1], {constraints: {meanBounds: [[-1, 1], [5, 9]], varianceBounds: [0.5, 2]}});
+  gmm.optimize(samples);
+  t.equal(gmm.means[1], 9);
+  t.equal(gmm.vars[1], 2);
+  t.equal(Math.abs(gmm.means[0]) < 0.5, true);
+
+  // Histograms and online updates honor the constraints too.
+  gmm = new GMM(2, [0.5, 0.5], [0.5, 8], [1, 3], {constraints: {fixedMeans: [true, false], fixedVars: true}});
+  gmm.optimize(Histogram.fromData(samples));
+  gmm.partialFit(samples.slice(0, 10));
+  t.same([gmm.means[0], gmm.vars[0], gmm.vars[1]], [0.5, 1, 3]);
+
+  t.throws(function () { new GMM(2, undefined, undefined, undefined, {constraints: {fixedMeans: [true]}}).optimize(samples); });
+  t.throws(function () { new GMM(2, undefined, undefined, undefined, {constraints: {meanBounds: [2, 1]}}).optimize(samples); });
+  t.throws(function () {
+    new GMM(2, undefined, undefined, undefined, {constraints: {tiedVariance: true, fixedVars: [true, false]}}).optimize(samples);
+  });
+  t.end();
+});
+
+test('Noise component', function (t) {
+  var inliers = new GMM(2, [0.5, 0.5], [0, 10], [1, 1], {seed: 7}).sample(900);
+  var outliers = [];
+  for (var i = 0; i < 100; i++) outliers.push(-99 + 2 * i);
+  var samples = inliers.concat(outliers);
+
+  // The outliers are absorbed by the noise component instead of inflating the variances.
+  var gmm = new GMM(2, [0.5, 0.5], [-1, 11], [1, 1], {noise: true});
+  gmm.optimize(samples);
+  t.equal(Math.abs(gmm.means[0]) < 0.3, true);
+  t.equal(Math.abs(gmm.means[1] - 10) < 0.3, true);
+  t.equal(gmm.vars[0] < 1.5 && gmm.vars[1] < 1.5, true);
+  t.equal(Math.abs(gmm.noiseWeight - 0.1) < 0.03, true);
+  t.equal(Math.abs(gmm.weights[0] + gmm.weights[1] - 1) < 1e-12, true);
+  t.same(gmm.noiseRange, [Math.min.apply(null, samples), Math.max.apply(null, samples)]);
+
+  // Memberships have an additional last element, the probability of being noise.
+  var membership = gmm.membership(80);
+  t.equal(membership.length, 3);
+  t.equal(membership[2] > 0.99, true);
+  t.equal(Math.abs(membership.reduce(function (a, b) { return a + b; }) - 1) < 1e-12, true);
+  t.equal(gmm.membership(0)[2] < 0.05, true);
+  t.same(gmm.predict([0, 10, 80, -60]), [0, 1, -1, -1]);
+
+  // The density and distribution functions include the noise.
+  t.equal(gmm.pdf(80) > 0, true);
+  t.equal(Math.abs(gmm.cdf(gmm.noiseRange[1]) - 1) < 1e-9, true);
+  t.equal(gmm.sample(1000).filter(function (x) { return Math.abs(x) > 30; }).length > 50, true);
+
+  // A user range, histograms and models.
+  gmm = new GMM(2, [0.5, 0.5], [-1, 11], [1, 1], {noise: {range: [-200, 200], weight: 0.2}});
+  t.equal(gmm.noiseWeight, 0.2);
+  gmm.optimize(Histogram.fromData(samples));
+  t.same(gmm.noiseRange, [-200, 200]);
+  t.equal(Math.abs(gmm.means[1] - 10) < 0.5, true);
+  var copy = GMM.fromModel(gmm.model());
+  t.equal(copy.noiseWeight, gmm.noiseWeight);
+  t.equal(copy.logPdf(150), gmm.logPdf(150));
+  t.throws(function () { new GMM(1, [1], [0], [1], {noise: true}).pdf(0); }, /noise range/);
+
+  // The range of the data is computed in linear time, without spreading the data as arguments.
+  var large = new Float64Array(300000).map(function (x, j) { return j % 1000; });
+  large[5] = -3;
+  t.same(GMM._dataRange(large), [-3, 999]);
+  t.same(GMM._dataRange([[-Infinity, 2], 1, [4, Infinity]]), [1, 4]);
+  t.same(GMM._dataRange(Histogram.fromData([1, 2, 2], {1: [0.5, 1.5], 2: [1.5, 2.5], 3: [2.5, 3.5]})), [0.5, 2.5]);
+  t.end();
+});
+
+test('Initialization strategies', function (t) {
+  var samples = new GMM(2, [0.3, 0.7], [0, 100], [25, 100], {seed: 5}).sample(500);
+
+  // Every strategy sets the weights and the variances along with the means.
+  ['kmeans', 'quantile'].forEach(function (strategy) {
+    var gmm = new GMM(2, [0.5, 0.5], [0, 1], [1, 1], {initialize: strategy, seed: 1});
+    gmm._initializeModel(samples);
+    t.equal(Math.abs(gmm.means[0]) < 2 && Math.abs(gmm.means[1] - 100) < 2, true, strategy);
+    t.equal(Math.abs(gmm.weights[0] - 0.3) < 0.05, true, strategy);
+    t.equal(gmm.vars[0] > 15 && gmm.vars[0] < 40 && gmm.vars[1] > 70 && gmm.vars[1] < 140, true, strategy);
+  });
+  var gmm = new GMM(2, [0.5, 0.5], [0, 1], [1, 1], {initialize: true, seed: 1});
+  gmm._initializeModel(samples);
+  t.equal(gmm.vars[0] > 1 && gmm.vars[1] > 1, true);
+  gmm = new GMM(2, [0.5, 0.5], [0, 1], [1, 1], {initialize: 'random', seed: 1});
+  gmm._initializeModel(samples);
+  t.equal(gmm.means[0] > 30 && gmm.means[0] < 100 && gmm.vars[0] > 1000, true);
+
+  // The initial memberships can be given, for an array or a histogram.
+  gmm = new GMM(2, [0.5, 0.5], [0, 0], [1, 1], {initialize: [[1, 0], [1, 0], [0, 2], [0, 1]]});
+  gmm._initializeModel([1, 3, 10, 10]);
+  t.same(gmm.weights, [0.5, 0.5]);
+  t.same(gmm.means, [2, 10]);
+  t.equal(gmm.vars[0], 1);
+  t.equal(Math.abs(gmm.vars[1] - 16.5) < 1e-9, true); // the variance of the data, since the component has no spread
+  gmm = new GMM(2, [0.5, 0.5], [0, 0], [1, 1], {initialize: {1: [1, 0], 3: [1, 0], 10: [0, 1]}});
+  gmm._initializeModelHistogram(Histogram.fromData([1, 3, 10, 10]));
+  t.same(gmm.means, [2, 10]);
+  t.same(gmm.weights, [0.5, 0.5]);
+
+  // The constraints are honored, and the optimization starts from the initialization.
+  gmm = new GMM(2, [0.5, 0.5], [0, 1], [1, 1], {initialize: 'quantile', constraints: {fixedMeans: [true, false]}});
+  gmm.optimize(samples);
+  t.equal(gmm.means[0], 0);
+  t.equal(Math.abs(gmm.means[1] - 100) < 2, true);
+  gmm = new GMM(2, [0.5, 0.5], [0, 1], [1, 1], {initialize: 'kmeans', seed: 2});
+  t.equal(gmm.optimize(Histogram.fromData(samples), {nInit: 2}).converged, true);
+  t.equal(Math.abs(gmm.weights[0] - 0.3) < 0.05, true);
+
+  t.throws(function () { new GMM(2, undefined, undefined, undefined, {initialize: 'median'})._initializeModel(samples); },
+    new Error('Unknown initialization strategy: median.'));
+  t.throws(function () { new GMM(2, undefined, undefined, undefined, {initialize: [[1, 0]]})._initializeModel(samples); },
+    new Error('The initial memberships must have an array of nComponents non-negative numbers for each datapoint.'));
+  t.end();
+});
+
+test('Split and merge EM', function (t) {
+  var samples = new GMM(3, [1 / 3, 1 / 3, 1 / 3], [0, 10, 20], [1, 1, 1], {seed: 3}).sample(600);
+  var sorted = function (array) { return array.slice().sort(function (a, b) { return a - b; }); };
+
+  // Two components share the mode at 0 while the third covers the two other modes: EM alone does not recover.
+  var gmm = new GMM(3, [0.3, 0.3, 0.4], [-0.5, 0.5, 15], [1, 1, 30]);
+  var report = gmm.optimize(samples, {report: true});
+  t.equal(gmm.vars[2] > 20, true);
+
+  [samples, Histogram.fromData(samples)].forEach(function (data) {
+    gmm = new GMM(3, [0.3, 0.3, 0.4], [-0.5, 0.5, 15], [1, 1, 30]);
+    var smem = gmm.optimize(data, {splitMerge: true, report: true});
+    var means = sorted(gmm.means);
+    t.equal(Math.abs(means[0]) < 0.3 && Math.abs(means[1] - 10) < 0.3 && Math.abs(means[2] - 20) < 0.3, true);
+    t.equal(gmm.vars.every(function (v) { return v < 1.5; }), true);
+    t.same(smem.splitMerge.map(function (p) { return [p.merged, p.split]; }), [[[0, 1], 2]]);
+    t.equal(smem.history.length, smem.iterations);
+    if (data === samples) t.equal(smem.logLikelihood > report.logLikelihood, true);
+  });
+
+  // The proposals are only accepted when the log-likelihood improves.
+  gmm = new GMM(3, [1 / 3, 1 / 3, 1 / 3], [0, 10, 20], [1, 1, 1]);
+  report = gmm.optimize(samples, {splitMerge: {candidates: 3, maxRounds: 2}, report: true});
+  t.same(report.splitMerge, []);
+  t.equal(typeof new GMM(2, [0.5, 0.5], [0, 1], [1, 1]).optimize(samples, {splitMerge: true}), 'number');
+  t.throws(function () {
+    new GMM(3, undefined, [0, 1, 2], [1, 1, 1], {constraints: {fixedMeans: true}}).optimize(samples, {splitMerge: true});
+  }, new Error('splitMerge cannot be used with fixed parameters.'));
+  t.end();
+});
+
+test('Typed arrays', function (t) {
+  var samples = new GMM(2, [0.4, 0.6], [0, 6], [1, 2], {seed: 9}).sample(500);
+  var typed = new Float64Array(samples);
+
+  // The optimization gives the same results for an Array and a Float64Array.
+  var gmm = new GMM(2, [0.5, 0.5], [1, 4], [1, 1]);
+  var report = gmm.optimize(samples, {report: true});
+  var gmm2 = new GMM(2, [0.5, 0.5], [1, 4], [1, 1]);
+  var report2 = gmm2.optimize(typed, {report: true, sampleWeights: new Float64Array(500).fill(1)});
+  t.same(gmm2.model(), gmm.model());
+  t.same(report2.history, report.history);
+  t.equal(gmm2.logLikelihood(typed), gmm.logLikelihood(samples));
+  t.same(gmm2.predict(typed), gmm.predict(samples));
+  t.same(gmm2.memberships(typed), gmm.memberships(samples));
+
+  // The memberships buffer holds the same values as the memberships.
+  var buffer = gmm._expectation(typed).memberships;
+  t.equal(buffer.length, 1000);
+  t.same(Array.prototype.slice.call(buffer, 0, 2), gmm.memberships([samples[0]])[0]);
+
+  // Updates from a buffer or from memberships are identical.
+  gmm2 = new GMM(2, gmm.weights.slice(), gmm.means.slice(), gmm.vars.slice());
+  gmm._updateModel(samples, gmm.memberships(samples));
+  gmm2._updateModel(typed);
+  t.same(gmm2.model(), gmm.model());
+
+  gmm = new GMM(2, undefined, undefined, undefined, {initialize: 'kmeans', seed: 1});
+  gmm.optimize(typed);
+  t.equal(Math.abs(gmm.means[1] - 6) < 0.5, true);
+  t.equal(GMM.select(typed, {maxComponents: 3, seed: 1}).gmm.nComponents, 2);
+  t.equal(Histogram.fromData(typed).total, 500);
+  t.end();
+});
+
+test('Fused expectation step', function (t) {
+  var gmm = new GMM(3, [0.3, 0.2, 0.5], [-1, 3, 8], [1, 2, 4], {noise: {range: [-10, 20], weight: 0.1}});
+  var weights = data.map(function (x, i) { return 1 + i % 3; });
+  var expectation = gmm._expectation(data, undefined, weights, [-5, 15]);
+  t.equal(expectation.memberships.length, data.length * 4);
+  t.same(Array.prototype.slice.call(expectation.memberships, 0, 4), gmm.memberships([data[0]])[0]);
+  t.equal(expectation.logLikelihood, gmm._logLikelihood(data, weights, [-5, 15]));
+
+  // The histogram memberships are stored row by row, in the order of the keys of the counts.
+  var h = Histogram.fromData(data, {binCount: 20});
+  var rows = function (buffer, width) {
+    var result = {};
+    Object.keys(h.counts).forEach(function (key, i) { result[key] = Array.prototype.slice.call(buffer, i * width, (i + 1) * width); });
+    return result;
+  };
+  expectation = gmm._expectationHistogram(h);
+  t.equal(expectation.memberships.length, Object.keys(h.counts).length * 4);
+  t.same(rows(expectation.memberships, 4), gmm._membershipsHistogram(h));
+  t.equal(expectation.logLikelihood, gmm._logLikelihoodHistogram(h));
+  t.equal(expectation.binned, null);
+  t.equal(gmm._expectationHistogram(h, expectation.memberships).memberships, expectation.memberships);
+
+  gmm = new GMM(3, [0.3, 0.2, 0.5], [-1, 3, 8], [1, 2, 4], {binned: true});
+  expectation = gmm._expectationHistogram(h);
+  t.same(rows(expectation.memberships, 3), gmm._binStatistics(h).memberships);
+  t.equal(expectation.logLikelihood, gmm._logLikelihoodHistogram(h));
+
+  // Updates from a buffer or from a hash of memberships are identical.
+  var gmm2 = new GMM(3, [0.3, 0.2, 0.5], [-1, 3, 8], [1, 2, 4], {binned: true});
+  gmm._updateModelHistogram(h, expectation.memberships, expectation.binned);
+  gmm2._updateModelHistogram(h, gmm2._membershipsHistogram(h));
+  t.same(gmm.model(), gmm2.model());
+  t.end();
+});
+
 test('Variance prior', function (t) {
   t.plan(3);
 
@@ -180,6 +786,35 @@ test('Model', function (t) {
   t.same(GMM.fromModel(model), gmm);
 });
 
+test('Model selection', function (t) {
+  var argmin = function (scores, criterion) {
+    return scores.reduce(function (a, b) { return b[criterion] < a[criterion] ? b : a; }).nComponents;
+  };
+
+  var result = GMM.select(data, {maxComponents: 5});
+  t.equal(result.criterion, 'bic');
+  t.equal(result.gmm.nComponents, argmin(result.scores, 'bic'));
+  t.same(result.scores.map(function (s) { return s.nComponents; }), [1, 2, 3, 4, 5]);
+  t.same(result.scores.map(function (s) { return s.nParameters; }), [2, 5, 8, 11, 14]);
+  result.scores.forEach(function (s) {
+    t.equal(s.aic, -2 * s.logLikelihood + 2 * s.nParameters);
+    t.equal(s.icl >= s.bic, true);
+  });
+
+  var h = Histogram.fromData(data);
+  result = GMM.select(h, {minComponents: 2, maxComponents: 4, criterion: 'icl'});
+  t.equal(result.gmm.nComponents, argmin(result.scores, 'icl'));
+  t.equal(result.scores.length, 3);
+
+  result = GMM.select(data, {maxComponents: 4, nInit: 3, seed: 1});
+  t.equal(result.gmm.nComponents, 3);
+
+  t.throws(function () { GMM.select(data, {criterion: 'foo'}); });
+  t.throws(function () { GMM.select(data, {minComponents: 3, maxComponents: 2}); });
+  t.throws(function () { GMM.select('foo'); });
+  t.end();
+});
+
 test('Barycenter method', function (t) {
   t.plan(5);
   var cropFloat = function (a) { return Number(a.toFixed(5)); };
@@ -348,6 +983,166 @@ test('histogram value', function (t) {
   t.end();
 });
 
+test('histogram bounds', function (t) {
+  var h = new Histogram({
+    bins: {'A': [1, 2], 'B': [3, Infinity]},
+    counts: {'A': 5, 'B': 3}
+  });
+  t.same(h.bounds('B'), [3, Infinity]);
+  t.throws(() => h.bounds('E'));
+  t.same(Histogram.fromData([1, 2]).bounds('2'), [1.5, 2.5]);
+  t.end();
+});
+
+test('histogram merge, subtract and scale', function (t) {
+  var h = Histogram.fromData([1, 2, 2, 3]);
+  h.merge(Histogram.fromData([2, 5]));
+  t.same(h.counts, {1: 1, 2: 3, 3: 1, 5: 1});
+  t.equal(h.total, 6);
+  h.subtract(Histogram.fromData([2, 3]));
+  t.same(h.counts, {1: 1, 2: 2, 3: 0, 5: 1});
+  t.equal(h.scale(0.5).total, 2);
+  t.throws(function () { h.subtract(Histogram.fromData([5, 5])); }, new Error('Cannot subtract more than the count of a bin.'));
+  t.same(h.counts, {1: 0.5, 2: 1, 3: 0, 5: 0.5});
+  t.throws(function () { h.scale(-1); }, new Error('The scale factor must be a non-negative number.'));
+
+  var bins = {A: [0, 1], B: [1, 5]};
+  var binned = Histogram.fromData([0.5, 2], bins);
+  binned.merge(Histogram.fromData([3, 6], {B: [1, 5], C: [5, 10]}));
+  t.same(binned.counts, {A: 1, B: 2, C: 1});
+  t.same(binned.bins, {A: [0, 1], B: [1, 5], C: [5, 10]});
+  t.throws(function () { binned.merge(Histogram.fromData([3], {B: [1, 4]})); }, new Error('Incompatible bins: the bounds of the bin B differ.'));
+  t.throws(function () { binned.merge(h); }, new Error('Incompatible bins: only one of the histograms has bins.'));
+
+  // The total stays consistent when the counts are mutated directly, and it is serialized with them.
+  binned.counts.A = 10;
+  t.equal(binned.total, 13);
+  t.same(JSON.parse(JSON.stringify(binned)), {bins: binned.bins, counts: {A: 10, B: 2, C: 1}, total: 13});
+  t.doesNotThrow(function () { binned.total = 0; });
+  t.equal(binned.total, 13);
+  t.end();
+});
+
+test('histogram rebin', function (t) {
+  var h = new Histogram({counts: {1: 4, 2: 2}});
+  var rebinned = h.rebin({A: [0, 2], B: [2, 4]});
+  t.same(rebinned.counts, {A: 5, B: 1});
+  t.equal(rebinned.total, h.total);
+
+  h = new Histogram({bins: {A: [0, 4], B: [4, 6], C: [6, Infinity]}, counts: {A: 8, B: 2, C: 3}});
+  rebinned = h.rebin({X: [1, 3], Y: [3, 5], Z: [5, Infinity]});
+  t.same(rebinned.counts, {X: 4, Y: 3, Z: 4});
+  t.throws(function () { h.rebin({X: [0, 10]}); }, new Error('Cannot rebin a bin of infinite length.'));
+  t.end();
+});
+
+test('histogram slice', function (t) {
+  var h = Histogram.fromData([1, 2, 2, 3, 7]);
+  t.same(h.slice(2, 7).counts, {2: 2, 3: 1});
+  t.equal(h.slice(2, 7).total, 3);
+
+  h = Histogram.fromData([0.5, 2, 3, 6], {A: [0, 1], B: [1, 5], C: [5, 10]});
+  var sliced = h.slice(2, 10);
+  t.same(sliced.bins, {B: [1, 5], C: [5, 10]});
+  t.same(sliced.counts, {B: 2, C: 1});
+  t.end();
+});
+
+test('histogram automatic bins', function (t) {
+  var h = Histogram.fromData([0.001, 0.0012, 0.0031, 0.0042], {width: 0.001, origin: 0});
+  t.same(Object.keys(h.bins), ['0', '1', '2', '3']);
+  t.same(h.bins[0], [0.001, 0.002]);
+  t.same(h.counts, {0: 2, 2: 1, 3: 1});
+
+  // Uniform bins on a large scale, with a number of bins.
+  var data = [1e6, 2e6, 2.5e6, 9e6];
+  h = Histogram.fromData(data, {binCount: 4});
+  t.equal(Object.keys(h.bins).length, 4);
+  t.equal(h.bins[0][0], 1e6);
+  t.equal(h.bins[1][0], 3e6);
+  t.same(h.counts, {0: 3, 3: 1});
+  t.equal(Histogram.fromData(data, {strategy: 'sturges'}).total, 4);
+
+  // Freedman-Diaconis and Scott widths shrink with the number of samples.
+  var samples = new GMM(1, [1], [0], [1e-6], {seed: 1}).sample(1000);
+  var fd = Histogram.fromData(samples);
+  t.equal(fd.bins, null);
+  fd = Histogram.fromData(samples, {strategy: 'fd'});
+  var scott = Histogram.fromData(samples, {strategy: 'scott'});
+  t.equal(Object.keys(fd.bins).length > 10 && Object.keys(fd.bins).length < 100, true);
+  t.equal(Object.keys(scott.bins).length > 10 && Object.keys(scott.bins).length < 100, true);
+  t.equal(fd.total, 1000);
+  t.equal(scott.total, 1000);
+
+  // An outlier does not multiply the number of bins.
+  var outlier = samples.concat([1e5]);
+  fd = Histogram.fromData(outlier, {strategy: 'fd'});
+  scott = Histogram.fromData(outlier, {strategy: 'scott'});
+  t.equal(Object.keys(fd.bins).length, 11);
+  t.equal(Object.keys(scott.bins).length < 100, true); // the outlier already inflates the standard deviation
+  t.equal(fd.total, 1001);
+  t.equal(Object.keys(Histogram.fromData(samples.concat([1e300]), {strategy: 'fd'}).bins).length, 11);
+
+  // Quantile and logarithmic bins.
+  h = Histogram.fromData([1, 2, 3, 4, 5, 6, 7, 8], {strategy: 'quantile', binCount: 4});
+  t.same(h.counts, {0: 2, 1: 2, 2: 2, 3: 2});
+  h = Histogram.fromData([1, 20, 300, 1000, 5], {strategy: 'log', binCount: 3});
+  t.same(h.counts, {0: 2, 1: 1, 2: 2});
+  t.equal(Math.abs(h.bins[1][0] - 10) < 1e-9, true);
+
+  // Constant data gets a single bin.
+  h = Histogram.fromData([5, 5, 5], {strategy: 'log'});
+  t.same(h.counts, {0: 3});
+  t.equal(h.bins[0][0], 5);
+  t.same(Histogram.fromData([5, 5], {strategy: 'log', binCount: 2}).counts, {0: 2});
+  t.same(Histogram.fromData([5, 5], {strategy: 'quantile', binCount: 2}).counts, {0: 2});
+  t.same(Histogram.fromData([5, 5], {strategy: 'fd'}).counts, {0: 2});
+
+  t.throws(function () { Histogram.fromData([0, 1], {strategy: 'log'}); }, new Error('The log strategy needs positive data.'));
+  t.throws(function () { Histogram.fromData([0, 1], {strategy: 'auto'}); }, new Error('Unknown binning strategy: auto.'));
+  t.throws(function () { Histogram.fromData([], {strategy: 'fd'}); }, new Error('Data must have finite values to build bins.'));
+  t.end();
+});
+
+test('histogram bin index', function (t) {
+  var bins = {D: [5, 6], A: [1, 2], C: [3.4, 5], B: [3, 3.4]};
+  var h = new Histogram({bins: bins});
+  t.same(h._binIndex().keys, ['A', 'B', 'C', 'D']);
+  t.same([0.5, 1, 1.99, 2, 3, 3.4, 5.99, 6, NaN].map(function (x) { return Histogram._classify(x, bins, h._binIndex()); }),
+    [null, 'A', 'A', null, 'B', 'C', 'D', null, null]);
+
+  // Overlapping bins always throw, gaps only throw for contiguous bins.
+  t.throws(function () { return new Histogram({bins: {A: [0, 2], B: [1, 3]}}); }, new Error('Overlapping bins: A and B.'));
+  t.throws(function () { Histogram.fromData([1], {A: [0, 2], B: [0, 1]}); }, new Error('Overlapping bins: A and B.'));
+  t.throws(function () { return new Histogram({bins: {A: [2, 1]}}); }, new Error('Invalid bin A: it must be a range [lower, upper] with lower < upper.'));
+  t.throws(function () { return new Histogram({bins: {A: [0, 1], B: [2, 3]}, contiguous: true}); }, new Error('Gap between the bins A and B.'));
+  t.throws(function () { h.rebin({X: [0, 4], Y: [3, 6]}); }, new Error('Overlapping bins: X and Y.'));
+
+  // Merging checks the new bins before changing the histogram.
+  h = Histogram.fromData([1, 3], {A: [0, 2], B: [2, 4]});
+  t.throws(function () { h.merge(Histogram.fromData([3.5], {C: [3, 5]})); }, new Error('Overlapping bins: B and C.'));
+  t.same(h.counts, {A: 1, B: 1});
+  h.merge(Histogram.fromData([4.5], {C: [4, 5]}));
+  t.equal(h.add(4.2).counts.C, 2);
+
+  // A new bins object is indexed again.
+  h.bins = {Z: [0, 10]};
+  t.equal(h.add(7).counts.Z, 1);
+  t.end();
+});
+
+test('histogram addMany', function (t) {
+  var data = new GMM(2, [0.5, 0.5], [0, 10], [1, 1], {seed: 2}).sample(2000);
+  var bins = Histogram._autoBins(data, {binCount: 50});
+  var h = new Histogram({bins: bins}).addMany(new Float64Array(data));
+  var one = new Histogram({bins: bins});
+  data.forEach(function (x) { one.add(x); });
+  t.same(h.counts, one.counts);
+  t.equal(h.total, 2000);
+  t.same(new Histogram().addMany(new Float32Array([1, 1.2, 2.7])).counts, {1: 2, 3: 1});
+  t.end();
+});
+
 test('histogram flatten', function (t) {
   var h = new Histogram({
     bins: {'A': [1, 2], 'B': [3, 3.4], 'C': [3.4, 5], 'D': [5, 6]},
@@ -0,0 +1,82 @@
+'use strict';
+
+var test = require('tap').test;
+
+var GMM = require('../index');
+var Mixture = GMM.Mixture;
+
+function fit(components, nSamples) {
+  var refMixture = new Mixture(components, undefined, {seed: 3});
+  var data = refMixture.sample(nSamples);
+  var mixture = new Mixture(components.map(function (c) { return {family: c.family}; }), undefined, {initialize: true, seed: 1});
+  var report = mixture.optimize(data, {maxIterations: 500, report: true});
+  return {data: data, mixture: mixture, refMixture: refMixture, report: report};
+}
+
+test('Initialization of a new mixture object.', function (t) {
+  t.throws(function () { return new Mixture([]); });
+  t.throws(function () { return new Mixture([{family: 'foo'}]); }, new Error('Unknown family: foo.'));
+  t.throws(function () { return new Mixture([{family: 'gaussian', mean: 0, variance: 1}], [0.5, 0.5]); });
+  var mixture = new Mixture([{family: 'gaussian', mean: 0, variance: 1}, {family: 'laplace', location: 5, scale: 1}]);
+  t.same(mixture.weights, [0.5, 0.5]);
+  t.throws(function () { mixture.optimize('foo'); });
+  t.end();
+});
+
+test('Gaussian mixtures are equivalent to GMMs.', function (t) {
+  var gmm = new GMM(2, [0.3, 0.7], [0, 5], [1, 2]);
+  var mixture = new Mixture([{family: 'gaussian', mean: 0, variance: 1}, {family: 'gaussian', mean: 5, variance: 2}], [0.3, 0.7]);
+  var data = [-1, 0, 2.5, 4, 6, 10];
+  t.equal(Math.abs(gmm.logLikelihood(data) - mixture.logLikelihood(data)) < 1e-9, true);
+  t.equal(Math.abs(mixture.membership(2.5).reduce(function (a, b) { return a + b; }) - 1) < 1e-12, true);
+  t.end();
+});
+
+test('Component families are fitted with EM.', function (t) {
+  [
+    [{family: 'studentT', location: 0, scale: 1, degreesOfFreedom: 3}, {family: 'studentT', location: 15, scale: 2, degreesOfFreedom: 3}],
+    [{family: 'laplace', location: 0, scale: 1}, {family: 'laplace', location: 10, scale: 2}],
+    [{family: 'logNormal', mu: 0, sigma: 0.3}, {family: 'logNormal', mu: 3, sigma: 0.3}],
+    [{family: 'gamma', shape: 2, scale: 1}, {family: 'gamma', shape: 30, scale: 1}]
+  ].forEach(function (components) {
+    var result = fit(components, 2000);
+    t.equal(result.report.converged, true);
+    t.equal(result.report.logLikelihood >= result.refMixture.logLikelihood(result.data), true);
+    t.equal(Math.abs(result.mixture.weights[0] - 0.5) < 0.05, true);
+    result.mixture.components.forEach(function (c, k) {
+      t.equal(c.family, components[k].family);
+      Object.keys(components[k]).forEach(function (key) {
+        var expected = components[k][key];
+        if (key === 'family') return;
+        // The degrees of freedom are only loosely identified by the tails of the samples.
+        if (key === 'degreesOfFreedom') t.equal(c[key] > expected / 2 && c[key] < 2 * expected, true);
+        else t.equal(Math.abs(c[key] - expected) < 0.3 * Math.abs(expected) + 0.15, true, components[k].family + ' ' + key);
+      });
+    });
+  });
+  t.end();
+});
+
+test('Families can be mixed.', function (t) {
+  var refMixture = new Mixture([{family: 'gaussian', mean: 0, variance: 1}, {family: 'uniform', lower: -50, upper: 50}], [0.8, 0.2], {seed: 2});
+  var data = refMixture.sample(2000);
+  var mixture = new Mixture([{family: 'gaussian'}, {family: 'uniform'}], undefined, {initialize: true, seed: 1});
+  mixture.optimize(data);
+
+  t.equal(Math.abs(mixture.weights[1] - 0.2) < 0.03, true);
+  t.equal(Math.abs(mixture.components[0].mean) < 0.2, true);
+  t.same([mixture.components[1].lower, mixture.components[1].upper], [Math.min.apply(null, data), Math.max.apply(null, data)]);
+  t.same(mixture.membership(-1000), [1, 0]);
+  t.same(new Mixture([{family: 'logNormal', mu: 0, sigma: 1}]).membership(-1), [0]);
+
+  var copy = Mixture.fromModel(JSON.parse(JSON.stringify(mixture.model())));
+  t.same(copy.model(), mixture.model());
+  t.equal(copy.logLikelihood(data), mixture.logLikelihood(data));
+
+  // The bounds of the uniform component are found without spreading the data as arguments.
+  var large = [];
+  for (var i = 0; i < 300000; i++) large.push(i % 1000 - 500);
+  t.same(Mixture.families.uniform.complete(large, {family: 'uniform'}), {family: 'uniform', lower: -500, upper: 499});
+  t.same(Mixture.families.uniform.complete(large, {family: 'uniform', upper: 1000}), {family: 'uniform', lower: -500, upper: 1000});
+  t.end();
+});
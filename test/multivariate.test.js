@@ -0,0 +1,152 @@
+'use strict';
+
+var test = require('tap').test;
+var data = require('./fixtures/data2d.json'); // 300 samples from refGmm
+
+var MultivariateGMM = require('../index').MultivariateGMM;
+
+var refGmm = new MultivariateGMM(
+  3,
+  [0.3, 0.5, 0.2],
+  [[0, 0], [8, 2], [2, 9]],
+  [[[1, 0.5], [0.5, 1]], [[2, 0], [0, 0.5]], [[1, -0.3], [-0.3, 1.5]]]
+);
+
+function closestComponent(gmm, mean) {
+  var best = 0;
+  var bestDistance = Infinity;
+  gmm.means.forEach(function (m, k) {
+    var d = Math.pow(m[0] - mean[0], 2) + Math.pow(m[1] - mean[1], 2);
+    if (d < bestDistance) {
+      best = k;
+      bestDistance = d;
+    }
+  });
+  return best;
+}
+
+test('Initialization of a new multivariate GMM object.', function (t) {
+  t.throws(function () { return new MultivariateGMM(2); }, new Error('The means or options.dimension must be defined.'));
+  t.throws(function () { return new MultivariateGMM(2, undefined, [[0, 0], [1]]); });
+  t.throws(function () { return new MultivariateGMM(2, [0.5, 0.5], [[0, 0], [1, 1]], [1, 1]); });
+  t.throws(function () { return new MultivariateGMM(2, undefined, undefined, undefined, {dimension: 2, covarianceType: 'foo'}); });
+
+  var gmm = new MultivariateGMM(2, undefined, undefined, undefined, {dimension: 3});
+  t.same(gmm.means, [[0, 0, 0], [1, 1, 1]]);
+  t.same(gmm.covariances[0], [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+
+  gmm = new MultivariateGMM(2, undefined, undefined, undefined, {dimension: 2, covarianceType: 'diagonal'});
+  t.same(gmm.covariances, [[1, 1], [1, 1]]);
+  gmm = new MultivariateGMM(2, undefined, undefined, undefined, {dimension: 2, covarianceType: 'spherical'});
+  t.same(gmm.covariances, [1, 1]);
+  t.end();
+});
+
+test('Multivariate random sampling.', function (t) {
+  var samples = refGmm.sample(5);
+  t.equal(samples.length, 5);
+  t.equal(samples[0].length, 2);
+
+  var model = refGmm.model();
+  t.same(MultivariateGMM.fromModel(model, {seed: 1}).sample(5), MultivariateGMM.fromModel(model, {seed: 1}).sample(5));
+
+  var gmm = new MultivariateGMM(3, undefined, undefined, undefined, {dimension: 2, seed: 1, initialize: true});
+  var gmm2 = new MultivariateGMM(3, undefined, undefined, undefined, {dimension: 2, seed: 1, initialize: true});
+  gmm.optimize(data);
+  gmm2.optimize(data);
+  t.same(gmm.model(), gmm2.model());
+  t.end();
+});
+
+test('Multivariate memberships', function (t) {
+  var memberships = refGmm.memberships([[0, 0], [8, 2], [2, 9], [4, 1]]);
+  t.equal(memberships.length, 4);
+  t.equal(memberships[0].length, 3);
+  t.equal(memberships[0][0] > 0.99, true);
+  t.equal(memberships[1][1] > 0.99, true);
+  t.equal(memberships[2][2] > 0.99, true);
+  t.equal(Math.abs(memberships[3].reduce(function (a, b) { return a + b; }) - 1) < 1e-12, true);
+
+  // Far away points do not underflow.
+  t.same(refGmm.membership([1e4, 1e4]).map(function (a) { return isNaN(a); }), [false, false, false]);
+
+  var logMemberships = refGmm.logMemberships([[4, 1]]);
+  t.equal(Math.abs(Math.exp(logMemberships[0][1]) - memberships[3][1]) < 1e-12, true);
+  t.equal(isFinite(refGmm.logPdf([1e4, 1e4])), true);
+  t.end();
+});
+
+test('Multivariate log likelihood', function (t) {
+  var gmm = new MultivariateGMM(1, [1], [[1, 2]], [[[2, 0], [0, 0.5]]]);
+  var diagonal = new MultivariateGMM(1, [1], [[1, 2]], [[2, 0.5]], {covarianceType: 'diagonal'});
+  var expected = -Math.log(2 * Math.PI) - 0.5 * Math.log(1) - 0.5 * (4 / 2 + 1 / 0.5);
+  t.equal(Math.abs(gmm.logLikelihood([[3, 1]]) - expected) < 1e-12, true);
+  t.equal(Math.abs(diagonal.logLikelihood([[3, 1]]) - expected) < 1e-12, true);
+  t.throws(function () { gmm.logLikelihood('foo'); });
+  t.throws(function () { return new MultivariateGMM(1, [1], [[0, 0]], [[[1, 2], [2, 1]]]).logLikelihood([[0, 0]]); });
+  t.end();
+});
+
+test('Multivariate EM optimization', function (t) {
+  ['full', 'diagonal', 'spherical'].forEach(function (covarianceType) {
+    var gmm = new MultivariateGMM(3, undefined, [[-1, -1], [10, 0], [0, 10]], undefined, {covarianceType: covarianceType});
+    var l = -Infinity;
+    for (var i = 0; i < 10; i++) {
+      gmm._updateModel(data);
+      var temp = gmm.logLikelihood(data);
+      t.equal(temp - l >= -1e-5, true);
+      l = temp;
+    }
+    gmm.optimize(data);
+
+    refGmm.means.forEach(function (mean, k) {
+      var j = closestComponent(gmm, mean);
+      t.equal(Math.abs(gmm.weights[j] - refGmm.weights[k]) < 0.1, true);
+      t.equal(Math.abs(gmm.means[j][0] - mean[0]) < 0.5, true);
+      t.equal(Math.abs(gmm.means[j][1] - mean[1]) < 0.5, true);
+    });
+  });
+
+  var gmm = new MultivariateGMM(3, undefined, [[-1, -1], [10, 0], [0, 10]]);
+  gmm.optimize(data);
+  var j = closestComponent(gmm, [0, 0]);
+  t.equal(Math.abs(gmm.covariances[j][0][1] - 0.5) < 0.3, true);
+  t.equal(gmm.covariances[j][0][1], gmm.covariances[j][1][0]);
+
+  t.throws(function () { gmm.optimize([[1, 2, 3]]); });
+
+  // A component far from every datapoint gets no membership, and keeps its mean and covariance.
+  gmm = new MultivariateGMM(2, undefined, [[0, 0], [1e4, 1e4]]);
+  t.doesNotThrow(function () { gmm.optimize(data); });
+  t.equal(gmm.weights[1], 0);
+  t.same(gmm.means[1], [1e4, 1e4]);
+  t.same(gmm.covariances[1], [[1, 0], [0, 1]]);
+  t.end();
+});
+
+test('Multivariate Km++ initialization', function (t) {
+  var gmm = new MultivariateGMM(2, undefined, undefined, undefined, {dimension: 2, initialize: true});
+  var means = gmm._initialize([[0, 0], [0, 0], [0, 0], [10, 10]]);
+  means.sort(function (a, b) { return a[0] - b[0]; });
+  t.same(means, [[0, 0], [10, 10]]);
+  t.throws(function () { gmm._initialize([[0, 0]]); }, new Error('Data must have more points than the number of components in the model.'));
+
+  gmm.optimize(data.slice(0, 100));
+  t.equal(gmm.means.length, 2);
+  t.end();
+});
+
+test('Multivariate model', function (t) {
+  var model = {
+    nComponents: 2,
+    covarianceType: 'diagonal',
+    weights: [0.4, 0.6],
+    means: [[0, 1], [5, 6]],
+    covariances: [[1, 2], [3, 4]]
+  };
+
+  var gmm = MultivariateGMM.fromModel(model);
+  t.equal(gmm.covarianceType, 'diagonal');
+  t.same(gmm.model(), model);
+  t.end();
+});
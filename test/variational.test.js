@@ -0,0 +1,63 @@
+'use strict';
+
+var test = require('tap').test;
+var path = require('path');
+var execFileSync = require('child_process').execFileSync;
+
+var GMM = require('../index');
+var VariationalGMM = GMM.VariationalGMM;
+var utils = require('../utils');
+
+var refGmm = new GMM(3, [0.3, 0.5, 0.2], [0, 8, 20], [1, 2, 4], {seed: 5});
+var data = refGmm.sample(600);
+
+test('Special functions.', function (t) {
+  t.equal(Math.abs(utils.logGamma(5) - Math.log(24)) < 1e-12, true);
+  t.equal(Math.abs(utils.logGamma(0.5) - 0.5 * Math.log(Math.PI)) < 1e-12, true);
+  t.equal(Math.abs(utils.digamma(1) + 0.5772156649015329) < 1e-10, true);
+  t.equal(Math.abs(utils.digamma(0.1) + 10.423754940411076) < 1e-10, true);
+  t.end();
+});
+
+test('Initialization of a new variational GMM object.', function (t) {
+  var vgmm = new VariationalGMM(4);
+  t.equal(vgmm.weightPrior, 'dirichletProcess');
+  t.same(vgmm.weights, [0.25, 0.25, 0.25, 0.25]);
+  t.throws(function () { return new VariationalGMM(4, {weightPrior: 'foo'}); });
+  t.throws(function () { return new VariationalGMM(0); });
+  t.throws(function () { vgmm.memberships([1]); }, new Error('The model must be optimized first.'));
+  t.throws(function () { new VariationalGMM(2, {weightConcentration: -1}).optimize(data); });
+  t.end();
+});
+
+test('Variational inference prunes the unused components.', function (t) {
+  ['dirichletProcess', 'dirichlet'].forEach(function (weightPrior) {
+    var vgmm = new VariationalGMM(8, {weightPrior: weightPrior, weightConcentration: 0.01, seed: 1});
+    var report = vgmm.optimize(data, {maxIterations: 500, report: true});
+
+    t.equal(report.converged, true);
+    t.equal(report.lowerBound, vgmm.lowerBound);
+    t.equal(report.history.every(function (l, i) { return i === 0 || l >= report.history[i - 1] - 1e-6; }), true);
+    t.equal(Math.abs(vgmm.weights.reduce(function (a, b) { return a + b; }) - 1) < 1e-9, true);
+    t.equal(vgmm.weights.filter(function (w) { return w > 0.01; }).length, 3);
+
+    var gmm = vgmm.toGMM(0.01);
+    t.equal(gmm instanceof GMM, true);
+    t.equal(gmm.nComponents, 3);
+    for (var k = 0; k < 3; k++) {
+      t.equal(Math.abs(gmm.means[k] - refGmm.means[k]) < 0.5, true);
+      t.equal(Math.abs(gmm.weights[k] - refGmm.weights[k]) < 0.05, true);
+    }
+
+    var memberships = vgmm.memberships([8]);
+    t.equal(memberships[0][vgmm.means.indexOf(gmm.means[1])] > 0.99, true);
+  });
+
+  t.throws(function () { new VariationalGMM(2).optimize('foo'); });
+
+  // The module can also be required on its own, in a fresh process.
+  var script = 'var V = require("./variational"); var v = new V(2, {seed: 1}); v.optimize([1, 1.1, 1.2, 9, 9.1, 9.2]);' +
+    'console.log(v.toGMM().nComponents, typeof require("./index").VariationalGMM.prototype.toGMM);';
+  t.equal(execFileSync(process.execPath, ['-e', script], {cwd: path.join(__dirname, '..')}).toString().trim(), '2 function');
+  t.end();
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+// Constants
+var LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * @private
+ * Return the array [0, 1, ..., n - 1].
+ * @param {Number} n length of the range
+ * @return {Array} the range
+ */
+function range(n) {
+  var result = new Array(n);
+  for (var i = 0; i < n; i++) {
+    result[i] = i;
+  }
+  return result;
+}
+
+/**
+ * @private
+ * Compute log(sum(exp(values))) without underflow or overflow.
+ * @param {Array} values an array of numbers
+ * @return {Number} the log of the sum of the exponentials of the values
+ */
+function logSumExp(values) {
+  var max = -Infinity;
+  for (var i = 0, n = values.length; i < n; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  if (max === -Infinity || max === Infinity) return max;
+
+  var sum = 0;
+  for (var j = 0, m = values.length; j < m; j++) {
+    sum += Math.exp(values[j] - max);
+  }
+  return max + Math.log(sum);
+}
+
+/**
+ * @private
+ * Compute the log of the density of a gaussian distribution.
+ * @param {Number} x the point where the density is evaluated
+ * @param {Number} mean the mean of the gaussian
+ * @param {Number} variance the variance of the gaussian
+ * @return {Number} the log-density
+ */
+function logNormalPdf(x, mean, variance) {
+  return -0.5 * (Math.log(2 * Math.PI * variance) + (x - mean) * (x - mean) / variance);
+}
+
+/**
+ * @private
+ * Draw a sample from the standard normal distribution with the Box-Muller transform.
+ * @param {Function} random a function that returns uniform numbers in [0, 1)
+ * @return {Number} the sample
+ */
+function standardNormal(random) {
+  var u = 1 - random(); // in (0, 1] so that the log is finite
+  var v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * @private
+ * Return the random number generator defined by the options.
+ * @param {Object} options an object that can define `random`, a function that returns uniform numbers in [0, 1),
+ * or `seed`, a number used to seed a [Mulberry32](https://gist.github.com/tommyettinger/46a874533244883189143505d203312c) generator.
+ * @return {Function} a function that returns uniform numbers in [0, 1), `Math.random` if the options define neither.
+ */
+function createRandom(options) {
+  if (typeof options.random === 'function') return options.random;
+  if (options.seed === undefined) return Math.random;
+
+  var state = options.seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) | 0;
+    var t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @private
+ * Choose seeds amongst the data with the [K-means++](https://en.wikipedia.org/wiki/K-means%2B%2B) initialization algorithm:
+ * the datapoints are chosen at random, while ensuring that the chosen seeds are far from each other.
+ * If sample weights are given, the datapoints are chosen with probabilities proportional to their weights.
+ * @param {Array} data array of numbers
+ * @param {Number} nSeeds the number of seeds
+ * @param {Function} random a function that returns uniform numbers in [0, 1)
+ * @param {Array} sampleWeights non-negative weights of the samples (optional).
+ * @return {Array} an array of length nSeeds that contains the sorted seeds.
+ */
+function kMeansPlusPlus(data, nSeeds, random, sampleWeights) {
+  var n = data.length;
+  var weight = sampleWeights ? function (i) { return sampleWeights[i]; } : function () { return 1; };
+  var nPositive = sampleWeights ? sampleWeights.filter(function (w) { return w > 0; }).length : n;
+
+  if (nPositive < nSeeds) throw new Error('Data must have more points than the number of components in the model.');
+
+  var seeds = [];
+
+  // Find the first seed at random
+  if (sampleWeights) {
+    var total = sampleWeights.reduce(function (a, b) { return a + b; }, 0);
+    var u = random() * total;
+    for (var s = 0; s < n - 1 && (u >= sampleWeights[s] || sampleWeights[s] === 0); s++) {
+      u -= sampleWeights[s];
+    }
+    seeds.push(data[s]);
+  } else {
+    seeds.push(data[Math.round(random() * (n - 1))]);
+  }
+
+  var distances = [];
+
+  // Chose all other seeds
+  for (var m = 1; m < nSeeds; m++) {
+    // Compute the distance from each datapoint
+    var dsum = 0;
+    for (var i = 0; i < n; i++) {
+      var seedsDistances = seeds.map(function (x) { return (x - data[i]) * (x - data[i]); });
+      var d = seedsDistances.reduce(function (a, b) { return Math.min(a, b); }) * weight(i);
+      distances[i] = d;
+      dsum += d;
+    }
+
+    // Chose the next seed at random with probabilities d / dsum
+    var r = random();
+    var c;
+    for (var j = 0; j < n; j++) {
+      var p = (distances[j] / dsum) || 0;
+      if (p > r || j === (n - 1)) {
+        c = data[j];
+        break;
+      } else {
+        r -= p;
+      }
+    }
+
+    seeds.push(c);
+  }
+
+  return seeds.sort(function (a, b) { return a - b; });
+}
+
+/**
+ * @private
+ * Find the closest seed of each datapoint.
+ * @param {Array} data array of numbers
+ * @param {Array} seeds array of seeds
+ * @return {Array} the index of the closest seed of each datapoint, the first one in case of a tie.
+ */
+function closestSeeds(data, seeds) {
+  return Array.prototype.map.call(data, function (x) {
+    var closest = 0;
+    for (var k = 1; k < seeds.length; k++) {
+      if (Math.abs(x - seeds[k]) < Math.abs(x - seeds[closest])) closest = k;
+    }
+    return closest;
+  });
+}
+
+/**
+ * @private
+ * Compute the log of the gamma function with the [Lanczos approximation](https://en.wikipedia.org/wiki/Lanczos_approximation).
+ * @param {Number} x a positive number
+ * @return {Number} the log of the gamma function at x
+ */
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+
+  x -= 1;
+  var a = LANCZOS_COEFFICIENTS[0];
+  var t = x + 7.5;
+  for (var i = 1; i < 9; i++) {
+    a += LANCZOS_COEFFICIENTS[i] / (x + i);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/**
+ * @private
+ * Compute the [digamma function](https://en.wikipedia.org/wiki/Digamma_function), the derivative of the log of the gamma function,
+ * with the recurrence relation and its asymptotic expansion.
+ * @param {Number} x a positive number
+ * @return {Number} the digamma function at x
+ */
+function digamma(x) {
+  var result = 0;
+  while (x < 6) {
+    result -= 1 / x;
+    x += 1;
+  }
+  var f = 1 / (x * x);
+  return result + Math.log(x) - 0.5 / x - f * (1 / 12 - f * (1 / 120 - f * (1 / 252 - f * (1 / 240 - f / 132))));
+}
+
+module.exports = {
+  range: range,
+  logSumExp: logSumExp,
+  logNormalPdf: logNormalPdf,
+  standardNormal: standardNormal,
+  createRandom: createRandom,
+  kMeansPlusPlus: kMeansPlusPlus,
+  closestSeeds: closestSeeds,
+  logGamma: logGamma,
+  digamma: digamma
+};
@@ -0,0 +1,389 @@
+'use strict';
+
+// The module is exported before its imports, since index.js requires it and is required by it.
+module.exports = VariationalGMM;
+
+// Imports
+var GMM = require('./index');
+var utils = require('./utils');
+var range = utils.range;
+var logSumExp = utils.logSumExp;
+var logGamma = utils.logGamma;
+var digamma = utils.digamma;
+var kMeansPlusPlus = utils.kMeansPlusPlus;
+var closestSeeds = utils.closestSeeds;
+
+// Constants
+var MAX_ITERATIONS = 200;
+var EPSILON = 1e-7;
+var MIN_WEIGHT = 1e-3;
+var WEIGHT_PRIORS = ['dirichlet', 'dirichletProcess'];
+
+/**
+ * Instantiate a new variational bayesian GMM. The parameters of the mixture are random variables, and `optimize` fits
+ * an approximation of their posterior distribution with mean-field variational inference.
+ * The weights have a Dirichlet prior, or a Dirichlet process prior (with its truncated stick-breaking representation),
+ * and the mean and precision of each component have a Normal-Gamma prior.
+ * The weights of the components that the data does not need are driven to zero, so that `nComponents` is an upper bound
+ * on the number of components, and `toGMM` exports the surviving components as a plain GMM.
+ * @param {Number} nComponents maximum number of components in the mixture
+ * @param {Object} options an object that can define the `weightPrior` ('dirichlet' or 'dirichletProcess', default 'dirichletProcess'),
+ * the `weightConcentration` of the prior on the weights (default 1 / nComponents; lower values give fewer components),
+ * the prior `meanPrior` (default the mean of the data) and `meanPrecision` (the number of pseudo-observations of the prior on the means, default 1),
+ * the `precisionShape` (default 0.5) and `precisionRate` (default half the variance of the data) of the Gamma prior on the precisions,
+ * and a `seed` or `random` function used instead of `Math.random` for the initialization.
+ * @return {VariationalGMM} a variational gmm object
+ * @example var vgmm = new VariationalGMM(10, {weightPrior: 'dirichlet', weightConcentration: 0.01});
+ */
+function VariationalGMM(nComponents, options) {
+  this.options = options === undefined ? {} : options;
+  this._random = utils.createRandom(this.options);
+  this.weightPrior = this.options.weightPrior === undefined ? 'dirichletProcess' : this.options.weightPrior;
+  if (WEIGHT_PRIORS.indexOf(this.weightPrior) === -1) {
+    throw new Error('weightPrior must be one of \'dirichlet\' or \'dirichletProcess\'.');
+  }
+  if (!(nComponents >= 1)) throw new Error('nComponents must be a positive integer.');
+
+  this.nComponents = nComponents;
+  this.weights = range(nComponents).map(function () { return 1 / nComponents; });
+  this.means = range(nComponents);
+  this.vars = range(nComponents).map(function () { return 1; });
+  this.lowerBound = -Infinity;
+  this._posterior = null;
+}
+
+/** @private
+ * Compute the hyperparameters of the prior, using the data for the ones that the options do not define.
+ * @param {Array} data array of numbers
+ * @return {Object} an object with keys `weightConcentration`, `meanPrior`, `meanPrecision`, `precisionShape` and `precisionRate`
+ */
+VariationalGMM.prototype._prior = function (data) {
+  var n = data.length;
+  var mean = data.reduce(function (a, b) { return a + b; }, 0) / n;
+  var variance = data.reduce(function (a, b) { return a + (b - mean) * (b - mean); }, 0) / n;
+  var options = this.options;
+  var prior = {
+    weightConcentration: options.weightConcentration === undefined ? 1 / this.nComponents : options.weightConcentration,
+    meanPrior: options.meanPrior === undefined ? mean : options.meanPrior,
+    meanPrecision: options.meanPrecision === undefined ? 1 : options.meanPrecision,
+    precisionShape: options.precisionShape === undefined ? 0.5 : options.precisionShape,
+    precisionRate: options.precisionRate === undefined ? 0.5 * Math.max(variance, EPSILON) : options.precisionRate
+  };
+
+  ['weightConcentration', 'meanPrecision', 'precisionShape', 'precisionRate'].forEach(function (key) {
+    if (!(prior[key] > 0 && prior[key] < Infinity)) throw new Error(key + ' must be a positive number.');
+  });
+  if (!Number.isFinite(prior.meanPrior)) throw new Error('meanPrior must be a finite number.');
+  return prior;
+};
+
+/** @private
+ * Compute the expectation of the log of the weights under the posterior.
+ * @return {Array} an array of length nComponents
+ */
+VariationalGMM.prototype._expectedLogWeights = function () {
+  var concentration = this._posterior.weightConcentration;
+  var k;
+  var expectedLogWeights = [];
+
+  if (this.weightPrior === 'dirichlet') {
+    var total = digamma(concentration.reduce(function (a, b) { return a + b; }, 0));
+    for (k = 0; k < this.nComponents; k++) {
+      expectedLogWeights.push(digamma(concentration[k]) - total);
+    }
+    return expectedLogWeights;
+  }
+
+  // Stick-breaking: the weight of a component is its stick times the remainder of the previous sticks,
+  // and the last component takes the whole remainder.
+  var remainder = 0;
+  for (k = 0; k < this.nComponents - 1; k++) {
+    var sum = digamma(concentration[k][0] + concentration[k][1]);
+    expectedLogWeights.push(remainder + digamma(concentration[k][0]) - sum);
+    remainder += digamma(concentration[k][1]) - sum;
+  }
+  expectedLogWeights.push(remainder);
+  return expectedLogWeights;
+};
+
+/** @private
+ * Compute the variational distribution of the component of each datapoint, given the posterior of the parameters.
+ * @param {Array} data array of numbers
+ * @return {Array} (data.length * this.nComponents) matrix with the memberships
+ */
+VariationalGMM.prototype._expectation = function (data) {
+  var posterior = this._posterior;
+  var expectedLogWeights = this._expectedLogWeights();
+  var expectedLogPrecisions = [];
+  var k;
+  for (k = 0; k < this.nComponents; k++) {
+    expectedLogPrecisions.push(digamma(posterior.precisionShape[k]) - Math.log(posterior.precisionRate[k]));
+  }
+
+  var memberships = [];
+  for (var i = 0, n = data.length; i < n; i++) {
+    var logMembership = [];
+    for (k = 0; k < this.nComponents; k++) {
+      var d = data[i] - posterior.means[k];
+      var expectedSquares = 1 / posterior.meanPrecision[k] + posterior.precisionShape[k] / posterior.precisionRate[k] * d * d;
+      logMembership.push(expectedLogWeights[k] + 0.5 * (expectedLogPrecisions[k] - Math.log(2 * Math.PI) - expectedSquares));
+    }
+    var logSum = logSumExp(logMembership);
+    memberships.push(logMembership.map(function (a) { return Math.exp(a - logSum); }));
+  }
+  return memberships;
+};
+
+/** @private
+ * Update the posterior of the parameters given the memberships of the data, and the point estimates of the weights, means and variances.
+ * @param {Array} data array of numbers
+ * @param {Array} memberships the memberships array for the given data
+ * @param {Object} prior the hyperparameters of the prior, see `_prior`
+ * @return {Object} the statistics of the data for each component, an object with keys `counts`, `means` and `vars`.
+ */
+VariationalGMM.prototype._maximization = function (data, memberships, prior) {
+  var n = data.length;
+  var statistics = {counts: [], means: [], vars: []};
+  var posterior = this._posterior = {
+    weightConcentration: [],
+    meanPrecision: [],
+    means: [],
+    precisionShape: [],
+    precisionRate: []
+  };
+  var k, i;
+
+  for (k = 0; k < this.nComponents; k++) {
+    var count = EPSILON;
+    var mean = 0;
+    for (i = 0; i < n; i++) {
+      count += memberships[i][k];
+      mean += memberships[i][k] * data[i];
+    }
+    mean /= count;
+    var variance = 0;
+    for (i = 0; i < n; i++) {
+      variance += memberships[i][k] * (data[i] - mean) * (data[i] - mean);
+    }
+    variance /= count;
+    statistics.counts.push(count);
+    statistics.means.push(mean);
+    statistics.vars.push(variance);
+
+    var meanPrecision = prior.meanPrecision + count;
+    var deviation = mean - prior.meanPrior;
+    posterior.meanPrecision.push(meanPrecision);
+    posterior.means.push((prior.meanPrecision * prior.meanPrior + count * mean) / meanPrecision);
+    posterior.precisionShape.push(prior.precisionShape + 0.5 * count);
+    posterior.precisionRate.push(prior.precisionRate +
+      0.5 * (count * variance + prior.meanPrecision * count * deviation * deviation / meanPrecision));
+  }
+
+  // Update the posterior of the weights, with the remaining counts for the sticks of a Dirichlet process.
+  var remaining = statistics.counts.reduce(function (a, b) { return a + b; }, 0);
+  for (k = 0; k < this.nComponents; k++) {
+    remaining -= statistics.counts[k];
+    if (this.weightPrior === 'dirichlet') posterior.weightConcentration.push(prior.weightConcentration + statistics.counts[k]);
+    else posterior.weightConcentration.push([1 + statistics.counts[k], prior.weightConcentration + Math.max(remaining, 0)]);
+  }
+
+  this._updateEstimates();
+  return statistics;
+};
+
+/** @private
+ * Update the point estimates of the weights, means and variances from the posterior: the expected weights,
+ * the expected means and the inverse of the expected precisions.
+ */
+VariationalGMM.prototype._updateEstimates = function () {
+  var posterior = this._posterior;
+  var k;
+  if (this.weightPrior === 'dirichlet') {
+    var total = posterior.weightConcentration.reduce(function (a, b) { return a + b; }, 0);
+    this.weights = posterior.weightConcentration.map(function (a) { return a / total; });
+  } else {
+    var remainder = 1;
+    this.weights = [];
+    for (k = 0; k < this.nComponents; k++) {
+      var stick = posterior.weightConcentration[k][0] / (posterior.weightConcentration[k][0] + posterior.weightConcentration[k][1]);
+      // The last stick takes the remainder, so that the weights sum to 1.
+      if (k === this.nComponents - 1) stick = 1;
+      this.weights.push(remainder * stick);
+      remainder *= 1 - stick;
+    }
+  }
+  this.means = posterior.means.slice();
+  this.vars = posterior.precisionRate.map(function (b, k) { return b / posterior.precisionShape[k]; });
+};
+
+/** @private
+ * Compute the evidence lower bound of the variational approximation.
+ * @param {Array} memberships the memberships array of the data
+ * @param {Object} statistics the statistics of the data for each component, see `_maximization`
+ * @param {Object} prior the hyperparameters of the prior, see `_prior`
+ * @return {Number} the evidence lower bound
+ */
+VariationalGMM.prototype._lowerBound = function (memberships, statistics, prior) {
+  var posterior = this._posterior;
+  var expectedLogWeights = this._expectedLogWeights();
+  var bound = 0;
+  var k;
+
+  // Expected log-likelihood of the data and log-prior of the means and precisions, minus the entropy terms of their posterior.
+  for (k = 0; k < this.nComponents; k++) {
+    var a = posterior.precisionShape[k];
+    var b = posterior.precisionRate[k];
+    var beta = posterior.meanPrecision[k];
+    var expectedLogPrecision = digamma(a) - Math.log(b);
+    var expectedPrecision = a / b;
+    var count = statistics.counts[k];
+    var d = statistics.means[k] - posterior.means[k];
+    var d0 = posterior.means[k] - prior.meanPrior;
+
+    bound += 0.5 * count * (expectedLogPrecision - 1 / beta -
+      expectedPrecision * (statistics.vars[k] + d * d) - Math.log(2 * Math.PI));
+    bound += 0.5 * (Math.log(prior.meanPrecision / beta) - prior.meanPrecision / beta - prior.meanPrecision * expectedPrecision * d0 * d0 + 1);
+    bound += prior.precisionShape * Math.log(prior.precisionRate) - logGamma(prior.precisionShape) +
+      (prior.precisionShape - 1) * expectedLogPrecision - prior.precisionRate * expectedPrecision;
+    bound -= a * Math.log(b) - logGamma(a) + (a - 1) * expectedLogPrecision - a;
+  }
+
+  // Expected log-probability of the memberships, minus their entropy.
+  for (var i = 0, n = memberships.length; i < n; i++) {
+    for (k = 0; k < this.nComponents; k++) {
+      var m = memberships[i][k];
+      if (m > 0) bound += m * (expectedLogWeights[k] - Math.log(m));
+    }
+  }
+
+  // Log-prior of the weights, minus the entropy terms of their posterior.
+  var concentration = posterior.weightConcentration;
+  var alpha = prior.weightConcentration;
+  if (this.weightPrior === 'dirichlet') {
+    var total = concentration.reduce(function (x, y) { return x + y; }, 0);
+    bound += logGamma(this.nComponents * alpha) - this.nComponents * logGamma(alpha) - logGamma(total);
+    for (k = 0; k < this.nComponents; k++) {
+      bound += logGamma(concentration[k]) + (alpha - concentration[k]) * expectedLogWeights[k];
+    }
+  } else {
+    for (k = 0; k < this.nComponents - 1; k++) {
+      var c1 = concentration[k][0];
+      var c2 = concentration[k][1];
+      var sum = digamma(c1 + c2);
+      var expectedLogStick = digamma(c1) - sum;
+      var expectedLogRemainder = digamma(c2) - sum;
+      bound += Math.log(alpha) + (alpha - 1) * expectedLogRemainder;
+      bound -= logGamma(c1 + c2) - logGamma(c1) - logGamma(c2) + (c1 - 1) * expectedLogStick + (c2 - 1) * expectedLogRemainder;
+    }
+  }
+
+  return bound;
+};
+
+/**
+ * Fit the variational approximation of the posterior given an array of data, with the coordinate ascent algorithm.
+ * The optimization starts from a K-means++ initialization, and stops when the evidence lower bound converges.
+ * @param {(Array|Float64Array)} data array of numbers representing the samples to use to optimize the model
+ * @param {(Number|Object)} [maxIterations=200] maximum number of steps, or an object with keys `maxIterations`, `tol` and `report`
+ * @param {Number} [tol=0.0000001] tolerance for the evidence lower bound to determine if we reached the optimum
+ * @return {(Number|Object)} the number of steps to reach the converged solution.
+ * If `report` is true, an object with keys `converged` (false if the optimization stopped because it reached maxIterations),
+ * `iterations`, `lowerBound` and `history` (the evidence lower bound after each step).
+ * @example
+ var vgmm = new VariationalGMM(10);
+ vgmm.optimize([1.2, 1.3, 7.4, 1.4, 14.3, 15.3, 1.0, 7.2]);
+ console.log(vgmm.toGMM().nComponents); // >> 3
+ */
+VariationalGMM.prototype.optimize = function (data, maxIterations, tol) {
+  var options = typeof maxIterations === 'object' && maxIterations !== null ?
+    maxIterations :
+    {maxIterations: maxIterations, tol: tol};
+  if (ArrayBuffer.isView(data)) data = Array.prototype.slice.call(data);
+  if (!Array.isArray(data)) throw new Error('Data must be an Array.');
+
+  maxIterations = options.maxIterations === undefined ? MAX_ITERATIONS : options.maxIterations;
+  tol = options.tol === undefined ? EPSILON : options.tol;
+
+  var prior = this._prior(data);
+  var memberships = this._initialize(data);
+  var lowerBoundDiff = Infinity;
+  var lowerBound = -Infinity;
+  var history = [];
+  for (var i = 0; i < maxIterations && lowerBoundDiff > tol; i++) {
+    if (i > 0) memberships = this._expectation(data);
+    var statistics = this._maximization(data, memberships, prior);
+    var temp = this._lowerBound(memberships, statistics, prior);
+    history.push(temp);
+    lowerBoundDiff = Math.abs(lowerBound - temp);
+    lowerBound = temp;
+  }
+  this.lowerBound = lowerBound;
+
+  if (!options.report) return i;
+  return {
+    converged: lowerBoundDiff <= tol,
+    iterations: i,
+    lowerBound: lowerBound,
+    history: history
+  };
+};
+
+/** @private
+ * Initialize the memberships with the [K-means++](https://en.wikipedia.org/wiki/K-means%2B%2B) initialization algorithm:
+ * each datapoint is assigned to its closest seed.
+ * @param {Array} data array of numbers representing the samples to use to optimize the model
+ * @return {Array} (data.length * this.nComponents) matrix with the initial memberships
+ */
+VariationalGMM.prototype._initialize = function (data) {
+  var nComponents = this.nComponents;
+  var seeds = kMeansPlusPlus(data, nComponents, this._random);
+
+  return closestSeeds(data, seeds).map(function (closest) {
+    return range(nComponents).map(function (k) { return k === closest ? 1 : 0; });
+  });
+};
+
+/**
+ * Given an array of data, determine their memberships for each component under the variational approximation.
+ * @param {Array} data array of numbers representing the samples to score under the model
+ * @return {Array} (data.length * this.nComponents) matrix with membership weights
+ */
+VariationalGMM.prototype.memberships = function (data) {
+  if (!this._posterior) throw new Error('The model must be optimized first.');
+  return this._expectation(data);
+};
+
+/**
+ * Return the point estimates of the model: the expected weights, the expected means and the inverse of the expected precisions.
+ * @return {Object} the model, with keys `nComponents`, `weights`, `means` and `vars`.
+ */
+VariationalGMM.prototype.model = function () {
+  return {
+    nComponents: this.nComponents,
+    weights: this.weights,
+    means: this.means,
+    vars: this.vars
+  };
+};
+
+/**
+ * Export the surviving components as a plain GMM, i.e. the components whose expected weight is at least `minWeight`.
+ * The weights of the surviving components are normalized to sum to 1.
+ * @param {Number} [minWeight=0.001] the minimum weight of the components to keep
+ * @param {Object} [options] the options of the GMM, see the GMM constructor
+ * @return {GMM} a GMM with the surviving components, built with `GMM.fromModel`
+ */
+VariationalGMM.prototype.toGMM = function (minWeight, options) {
+  minWeight = minWeight === undefined ? MIN_WEIGHT : minWeight;
+
+  var kept = range(this.nComponents).filter(function (k) { return this.weights[k] >= minWeight; }, this);
+  if (!kept.length) throw new Error('No component has a weight of at least minWeight.');
+  var total = kept.reduce(function (a, k) { return a + this.weights[k]; }.bind(this), 0);
+
+  return GMM.fromModel({
+    nComponents: kept.length,
+    weights: kept.map(function (k) { return this.weights[k] / total; }, this),
+    means: kept.map(function (k) { return this.means[k]; }, this),
+    vars: kept.map(function (k) { return this.vars[k]; }, this)
+  }, options);
+};